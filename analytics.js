@@ -0,0 +1,371 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BUCKETS = 400;
+
+// start of the UTC day / week (monday) / month a date falls in, same as $dateTrunc
+const truncate = (date, unit) => {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (unit === 'week') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    if (unit === 'month') d.setUTCDate(1);
+    return d;
+};
+
+const nextBucket = (date, unit) => {
+    const d = new Date(date);
+    if (unit === 'day') d.setUTCDate(d.getUTCDate() + 1);
+    if (unit === 'week') d.setUTCDate(d.getUTCDate() + 7);
+    if (unit === 'month') d.setUTCMonth(d.getUTCMonth() + 1);
+    return d;
+};
+
+// every bucket start between from and to, so periods without activity show up as zeros
+const bucketsBetween = (from, to, unit) => {
+    const buckets = [];
+    for (let d = truncate(from, unit); d <= to; d = nextBucket(d, unit)) buckets.push(d);
+    return buckets;
+};
+
+// default window when from is missing: 30 days, 12 weeks or 12 months
+const defaultFrom = (to, unit) => {
+    const d = truncate(to, unit);
+    if (unit === 'day') return new Date(d - 29 * DAY_MS);
+    if (unit === 'week') return new Date(d - 11 * 7 * DAY_MS);
+    d.setUTCMonth(d.getUTCMonth() - 11);
+    return d;
+};
+
+const round = (value, digits = 2) => Math.round((value || 0) * 10 ** digits) / 10 ** digits;
+
+// admin dashboard numbers, computed with aggregations and cached for a short time
+const createAnalytics = (collections, { ttlMs = 60 * 1000 } = {}) => {
+    const { users, teachers, classes, enrollments, payments, feedback, classViews } = collections;
+    const cache = new Map();
+
+    // count (or sum) documents per bucket of a date expression
+    const series = async (collection, { match = {}, date, value = 1, unit, from, to }) => {
+        const rows = await collection.aggregate([
+            { $match: match },
+            { $addFields: { bucketDate: date } },
+            { $match: { bucketDate: { $gte: from, $lte: to } } },
+            {
+                $group: {
+                    _id: { $dateTrunc: { date: '$bucketDate', unit, startOfWeek: 'monday' } },
+                    value: { $sum: value },
+                }
+            },
+        ]).toArray();
+        return new Map(rows.map(row => [row._id.getTime(), row.value]));
+    };
+
+    // payments joined to their class, for revenue breakdowns
+    const paymentsWithClass = (from, to) => [
+        { $match: { paidAt: { $gte: from, $lte: to } } },
+        {
+            $lookup: {
+                from: classes.collectionName,
+                localField: 'classId',
+                foreignField: 'classId',
+                pipeline: [{ $project: { title: 1, teacherEmail: 1, teacherName: 1, category: 1 } }],
+                as: 'class'
+            }
+        },
+        { $set: { class: { $first: '$class' }, net: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } } },
+    ];
+
+    const feedbackWithClass = (from, to) => [
+        { $match: { createdAt: { $gte: from, $lte: to }, rating: { $type: 'number' }, hidden: { $ne: true } } },
+        {
+            $lookup: {
+                from: classes.collectionName,
+                localField: 'classId',
+                foreignField: 'classId',
+                pipeline: [{ $project: { title: 1, teacherEmail: 1, teacherName: 1 } }],
+                as: 'class'
+            }
+        },
+        { $set: { class: { $first: '$class' } } },
+    ];
+
+    const timeSeries = async ({ unit, from, to }) => {
+        const range = { unit, from, to };
+        const [signups, applications, approvals, enrolled, sales, refunds] = await Promise.all([
+            // older users only have the firebase creation time as a string
+            series(users, {
+                ...range,
+                date: {
+                    $ifNull: ['$createdAt', { $convert: { input: '$userCreatedAt', to: 'date', onError: null, onNull: null } }]
+                },
+            }),
+            series(teachers, { ...range, match: { createdAt: { $gte: from, $lte: to } }, date: '$createdAt' }),
+            series(classes, { ...range, match: { approvedAt: { $gte: from, $lte: to } }, date: '$approvedAt' }),
+            series(enrollments, { ...range, match: { enrolledAt: { $gte: from, $lte: to } }, date: '$enrolledAt' }),
+            series(payments, { ...range, match: { paidAt: { $gte: from, $lte: to } }, date: '$paidAt', value: '$amount' }),
+            // refunds count in the period they were made
+            payments.aggregate([
+                { $match: { 'refunds.refundedAt': { $gte: from, $lte: to } } },
+                { $unwind: '$refunds' },
+                { $match: { 'refunds.refundedAt': { $gte: from, $lte: to } } },
+                {
+                    $group: {
+                        _id: { $dateTrunc: { date: '$refunds.refundedAt', unit, startOfWeek: 'monday' } },
+                        value: { $sum: '$refunds.amount' },
+                    }
+                },
+            ]).toArray().then(rows => new Map(rows.map(row => [row._id.getTime(), row.value]))),
+        ]);
+
+        return bucketsBetween(from, to, unit).map(bucket => {
+            const key = bucket.getTime();
+            const gross = sales.get(key) || 0;
+            const refunded = refunds.get(key) || 0;
+            return {
+                period: bucket,
+                signups: signups.get(key) || 0,
+                teacherApplications: applications.get(key) || 0,
+                classApprovals: approvals.get(key) || 0,
+                enrollments: enrolled.get(key) || 0,
+                revenue: { gross: round(gross), refunds: round(refunded), net: round(gross - refunded) },
+            };
+        });
+    };
+
+    // views come from classViews, so classes viewed before tracking started aren't included
+    const conversion = async ({ from, to, limit }) => {
+        const perClass = await classViews.aggregate([
+            { $match: { day: { $gte: truncate(from, 'day'), $lte: to } } },
+            { $group: { _id: '$classId', views: { $sum: '$views' } } },
+            {
+                $lookup: {
+                    from: enrollments.collectionName,
+                    let: { classId: '$_id' },
+                    pipeline: [
+                        {
+                            $match: {
+                                $expr: { $eq: ['$classId', '$$classId'] },
+                                enrolledAt: { $gte: from, $lte: to },
+                            }
+                        },
+                        { $count: 'count' },
+                    ],
+                    as: 'enrolled'
+                }
+            },
+            {
+                $lookup: {
+                    from: classes.collectionName,
+                    localField: '_id',
+                    foreignField: 'classId',
+                    pipeline: [{ $project: { title: 1 } }],
+                    as: 'class'
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    classId: '$_id',
+                    title: { $first: '$class.title' },
+                    views: 1,
+                    enrollments: { $ifNull: [{ $first: '$enrolled.count' }, 0] },
+                }
+            },
+            { $sort: { views: -1, classId: 1 } },
+        ]).toArray();
+
+        const views = perClass.reduce((sum, row) => sum + row.views, 0);
+        const enrolled = perClass.reduce((sum, row) => sum + row.enrollments, 0);
+        const rate = (row) => (row.views ? round(row.enrollments / row.views, 4) : 0);
+
+        return {
+            views,
+            enrollments: enrolled,
+            rate: rate({ views, enrollments: enrolled }),
+            classes: perClass.slice(0, limit).map(row => ({ ...row, rate: rate(row) })),
+        };
+    };
+
+    const topClasses = async ({ from, to, limit }) => {
+        const [byRevenue, byRating] = await Promise.all([
+            payments.aggregate([
+                ...paymentsWithClass(from, to),
+                {
+                    $group: {
+                        _id: '$classId',
+                        title: { $first: '$class.title' },
+                        teacherEmail: { $first: '$class.teacherEmail' },
+                        revenue: { $sum: '$net' },
+                        sales: { $sum: 1 },
+                    }
+                },
+                { $sort: { revenue: -1, _id: 1 } },
+                { $limit: limit },
+            ]).toArray(),
+            feedback.aggregate([
+                ...feedbackWithClass(from, to),
+                {
+                    $group: {
+                        _id: '$classId',
+                        title: { $first: '$class.title' },
+                        teacherEmail: { $first: '$class.teacherEmail' },
+                        averageRating: { $avg: '$rating' },
+                        reviews: { $sum: 1 },
+                    }
+                },
+                { $sort: { averageRating: -1, reviews: -1, _id: 1 } },
+                { $limit: limit },
+            ]).toArray(),
+        ]);
+
+        return {
+            byRevenue: byRevenue.map(({ _id, revenue, ...row }) => ({ classId: _id, ...row, revenue: round(revenue) })),
+            byRating: byRating.map(({ _id, averageRating, ...row }) => ({ classId: _id, ...row, averageRating: round(averageRating, 1) })),
+        };
+    };
+
+    const topTeachers = async ({ from, to, limit }) => {
+        const [byRevenue, byRating] = await Promise.all([
+            payments.aggregate([
+                ...paymentsWithClass(from, to),
+                { $match: { 'class.teacherEmail': { $exists: true } } },
+                {
+                    $group: {
+                        _id: '$class.teacherEmail',
+                        name: { $first: '$class.teacherName' },
+                        revenue: { $sum: '$net' },
+                        sales: { $sum: 1 },
+                        classes: { $addToSet: '$classId' },
+                    }
+                },
+                { $sort: { revenue: -1, _id: 1 } },
+                { $limit: limit },
+            ]).toArray(),
+            feedback.aggregate([
+                ...feedbackWithClass(from, to),
+                { $match: { 'class.teacherEmail': { $exists: true } } },
+                {
+                    $group: {
+                        _id: '$class.teacherEmail',
+                        name: { $first: '$class.teacherName' },
+                        averageRating: { $avg: '$rating' },
+                        reviews: { $sum: 1 },
+                    }
+                },
+                { $sort: { averageRating: -1, reviews: -1, _id: 1 } },
+                { $limit: limit },
+            ]).toArray(),
+        ]);
+
+        return {
+            byRevenue: byRevenue.map(({ _id, revenue, classes: classIds, ...row }) => ({
+                teacherEmail: _id,
+                ...row,
+                classes: classIds.length,
+                revenue: round(revenue),
+            })),
+            byRating: byRating.map(({ _id, averageRating, ...row }) => ({
+                teacherEmail: _id,
+                ...row,
+                averageRating: round(averageRating, 1),
+            })),
+        };
+    };
+
+    // classes per category (all time) with enrollments and revenue in the range
+    const categories = async ({ from, to }) => {
+        const [catalog, sales] = await Promise.all([
+            classes.aggregate([
+                {
+                    $group: {
+                        _id: { $ifNull: ['$category', 'Uncategorized'] },
+                        classes: { $sum: 1 },
+                        approvedClasses: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+                    }
+                },
+            ]).toArray(),
+            payments.aggregate([
+                ...paymentsWithClass(from, to),
+                {
+                    $group: {
+                        _id: { $ifNull: ['$class.category', 'Uncategorized'] },
+                        enrollments: { $sum: 1 },
+                        revenue: { $sum: '$net' },
+                    }
+                },
+            ]).toArray(),
+        ]);
+
+        const salesByCategory = new Map(sales.map(row => [row._id, row]));
+        return catalog
+            .map(row => ({
+                category: row._id,
+                classes: row.classes,
+                approvedClasses: row.approvedClasses,
+                enrollments: salesByCategory.get(row._id)?.enrollments || 0,
+                revenue: round(salesByCategory.get(row._id)?.revenue),
+            }))
+            .sort((a, b) => b.revenue - a.revenue || b.classes - a.classes);
+    };
+
+    // everything the dashboard needs for one range; throws a RangeError for too many buckets
+    const stats = async ({ granularity = 'day', from, to = new Date(), limit = 5 }) => {
+        from = from || defaultFrom(to, granularity);
+        if (from > to) throw new RangeError('from must be before to');
+        if (bucketsBetween(from, to, granularity).length > MAX_BUCKETS) {
+            throw new RangeError(`Range is too long for ${granularity} granularity`);
+        }
+
+        const key = JSON.stringify({ granularity, from, to, limit });
+        const cached = cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+        const range = { unit: granularity, from, to, limit };
+        const [seriesRows, conversionStats, classStats, teacherStats, categoryStats] = await Promise.all([
+            timeSeries(range),
+            conversion(range),
+            topClasses(range),
+            topTeachers(range),
+            categories(range),
+        ]);
+
+        const totals = seriesRows.reduce((sum, row) => ({
+            signups: sum.signups + row.signups,
+            teacherApplications: sum.teacherApplications + row.teacherApplications,
+            classApprovals: sum.classApprovals + row.classApprovals,
+            enrollments: sum.enrollments + row.enrollments,
+            revenue: {
+                gross: round(sum.revenue.gross + row.revenue.gross),
+                refunds: round(sum.revenue.refunds + row.revenue.refunds),
+                net: round(sum.revenue.net + row.revenue.net),
+            },
+        }), { signups: 0, teacherApplications: 0, classApprovals: 0, enrollments: 0, revenue: { gross: 0, refunds: 0, net: 0 } });
+
+        const value = {
+            granularity,
+            from,
+            to,
+            generatedAt: new Date(),
+            totals,
+            series: seriesRows,
+            conversion: conversionStats,
+            topClasses: classStats,
+            topTeachers: teacherStats,
+            categories: categoryStats,
+        };
+
+        // drop expired entries so the cache doesn't grow with every distinct range
+        for (const [entryKey, entry] of cache) {
+            if (entry.expiresAt <= Date.now()) cache.delete(entryKey);
+        }
+        cache.set(key, { value, expiresAt: Date.now() + ttlMs });
+        return value;
+    };
+
+    // one counter per class per day
+    const trackClassView = (classId) => classViews.updateOne(
+        { classId, day: truncate(new Date(), 'day') },
+        { $inc: { views: 1 } },
+        { upsert: true }
+    );
+
+    return { stats, trackClassView };
+};
+
+module.exports = { createAnalytics };
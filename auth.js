@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+
+const scrypt = promisify(crypto.scrypt);
+const ISSUER = 'teachflow';
+
+// passwords are stored as scrypt$N$r$p$salt$hash
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH, SCRYPT);
+    return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, N, r, p, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// one-time code emailed to a new local account to prove the address is theirs; only its hash is stored
+const createVerificationCode = (ttlMs = 24 * 60 * 60 * 1000) => {
+    const code = crypto.randomBytes(24).toString('base64url');
+    return { code, verification: { codeHash: sha256(code), expiresAt: new Date(Date.now() + ttlMs) } };
+};
+
+const checkVerificationCode = (code, verification) => Boolean(verification)
+    && verification.expiresAt > new Date()
+    && crypto.timingSafeEqual(Buffer.from(sha256(code)), Buffer.from(verification.codeHash));
+
+// verifies firebase ID tokens
+const createFirebaseProvider = (firebaseAdmin) => ({
+    name: 'firebase',
+    verify: (token) => firebaseAdmin.auth().verifyIdToken(token),
+});
+
+// our own short-lived access JWTs plus rotating refresh tokens stored (hashed) in the database
+const createLocalProvider = ({ secret, users, refreshTokens, revokedTokens, accessTtlSeconds = 15 * 60, refreshTtlDays = 30 }) => {
+    const issueTokens = async (user, family = crypto.randomUUID()) => {
+        const accessToken = jwt.sign(
+            { email: user.email, name: user.name ?? null, role: user.role ?? null },
+            secret,
+            { algorithm: 'HS256', issuer: ISSUER, subject: user._id.toString(), expiresIn: accessTtlSeconds, jwtid: crypto.randomUUID() }
+        );
+
+        const refreshToken = crypto.randomBytes(32).toString('base64url');
+        await refreshTokens.insertOne({
+            tokenHash: sha256(refreshToken),
+            family, // every token rotated from the same sign-in
+            userId: user._id,
+            email: user.email,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + refreshTtlDays * 24 * 60 * 60 * 1000),
+            revokedAt: null,
+        });
+
+        return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: accessTtlSeconds };
+    };
+
+    // decoded payload shaped like a firebase token (uid, email, name) plus our role claim
+    const verify = async (token) => {
+        const payload = jwt.verify(token, secret, { algorithms: ['HS256'], issuer: ISSUER });
+        if (await revokedTokens.findOne({ jti: payload.jti }, { projection: { _id: 1 } })) {
+            throw new Error('Token has been revoked');
+        }
+        return { ...payload, uid: payload.sub, provider: 'local' };
+    };
+
+    // trade a refresh token for a new pair; using an already rotated token revokes the whole family
+    const refresh = async (refreshToken) => {
+        const tokenHash = sha256(refreshToken);
+        const current = await refreshTokens.findOneAndUpdate(
+            { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { revokedAt: new Date(), rotatedAt: new Date() } }
+        );
+
+        if (!current) {
+            const reused = await refreshTokens.findOne({ tokenHash, rotatedAt: { $exists: true } });
+            if (reused) await refreshTokens.updateMany({ family: reused.family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+            return null;
+        }
+
+        const user = await users.findOne({ _id: current.userId });
+        if (!user) return null;
+        return issueTokens(user, current.family);
+    };
+
+    const revokeRefreshToken = (refreshToken) => refreshTokens.updateOne(
+        { tokenHash: sha256(refreshToken), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+
+    const revokeAllRefreshTokens = (email) => refreshTokens.updateMany(
+        { email, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+
+    // deny an access token until it would have expired anyway
+    const revokeAccessToken = (decoded) => revokedTokens.updateOne(
+        { jti: decoded.jti },
+        { $setOnInsert: { jti: decoded.jti, email: decoded.email, expiresAt: new Date(decoded.exp * 1000) } },
+        { upsert: true }
+    );
+
+    return { name: 'local', verify, issueTokens, refresh, revokeRefreshToken, revokeAllRefreshTokens, revokeAccessToken };
+};
+
+// route a bearer token to the provider that issued it
+const createAuth = ({ local, firebase }) => {
+    if (!local && !firebase) throw new Error('No auth provider configured: set JWT_SECRET and/or FB_Service');
+
+    const verify = (token) => {
+        const unverified = jwt.decode(token);
+        if (unverified?.iss === ISSUER) {
+            if (!local) throw new Error('Local tokens are not enabled');
+            return local.verify(token);
+        }
+        if (!firebase) throw new Error('Firebase tokens are not enabled');
+        return firebase.verify(token);
+    };
+
+    return { verify, local, firebase };
+};
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createVerificationCode,
+    checkVerificationCode,
+    createFirebaseProvider,
+    createLocalProvider,
+    createAuth,
+};
@@ -0,0 +1,54 @@
+const PDFDocument = require("pdfkit");
+
+// write a landscape completion certificate into a writable stream (e.g. the response)
+const renderCertificate = (certificate, stream, verifyUrl) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+    doc.pipe(stream);
+
+    const { width, height } = doc.page;
+    const issuedOn = new Date(certificate.issuedAt).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+    });
+
+    doc.lineWidth(4).rect(25, 25, width - 50, height - 50).stroke('#1e3a8a');
+    doc.lineWidth(1).rect(35, 35, width - 70, height - 70).stroke('#93c5fd');
+
+    doc.moveDown(3)
+        .fillColor('#1e3a8a').font('Helvetica-Bold').fontSize(36)
+        .text('Certificate of Completion', { align: 'center' });
+
+    doc.moveDown(1)
+        .fillColor('#374151').font('Helvetica').fontSize(16)
+        .text('This certifies that', { align: 'center' });
+
+    doc.moveDown(0.5)
+        .fillColor('#111827').font('Helvetica-Bold').fontSize(30)
+        .text(certificate.studentName, { align: 'center' });
+
+    doc.moveDown(0.5)
+        .fillColor('#374151').font('Helvetica').fontSize(16)
+        .text('has successfully completed the class', { align: 'center' });
+
+    doc.moveDown(0.5)
+        .fillColor('#111827').font('Helvetica-Bold').fontSize(22)
+        .text(certificate.classTitle, { align: 'center' });
+
+    doc.moveDown(0.5)
+        .fillColor('#374151').font('Helvetica').fontSize(14)
+        .text(`taught by ${certificate.teacherName} on TeachFlow`, { align: 'center' });
+
+    doc.moveDown(2)
+        .fontSize(12)
+        .text(`Issued on ${issuedOn}`, { align: 'center' })
+        .text(`Certificate code: ${certificate.code}`, { align: 'center' });
+
+    if (verifyUrl) {
+        doc.fillColor('#1d4ed8').text(verifyUrl, { align: 'center', link: verifyUrl });
+    }
+
+    doc.end();
+};
+
+module.exports = { renderCertificate };
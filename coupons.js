@@ -0,0 +1,144 @@
+// coupon pricing and the uses checkouts hold on a coupon
+// a checkout holds one use until it's paid (redeemed), cancelled or the hold runs out; the coupon's
+// maxUses and the student's perUserLimit are both enforced atomically, so parallel checkouts can't
+// exceed them (a student's uses are numbered slots under a unique index on code, email and slot)
+const { ObjectId } = require("mongodb");
+
+const createCoupons = ({ coupons, redemptions, payments, stripe, holdMs }) => {
+    // price a class with a coupon for this student; amounts are in dollars
+    const applyCoupon = async (code, classData, email) => {
+        const coupon = await coupons.findOne({ code });
+        if (!coupon || !coupon.active) return { error: 'Invalid coupon code' };
+        if (coupon.expiresAt && coupon.expiresAt < new Date()) return { error: 'Coupon has expired' };
+        if (coupon.maxUses && coupon.usedCount + (coupon.reservedCount || 0) >= coupon.maxUses) {
+            return { error: 'Coupon usage limit reached' };
+        }
+        if (coupon.classId && coupon.classId !== classData.classId) return { error: 'Coupon is not valid for this class' };
+        if (coupon.teacherEmail && coupon.teacherEmail !== classData.teacherEmail) {
+            return { error: 'Coupon is not valid for this class' };
+        }
+
+        const userUses = await payments.countDocuments({ email, 'coupon.code': code });
+        if (userUses >= (coupon.perUserLimit || 1)) return { error: 'You have already used this coupon' };
+
+        const price = Number(classData.price);
+        const rawDiscount = coupon.type === 'percent' ? price * coupon.value / 100 : coupon.value;
+        const discount = Math.round(Math.min(rawDiscount, price) * 100) / 100;
+
+        return {
+            coupon,
+            originalPrice: price,
+            discount,
+            amount: Math.round((price - discount) * 100) / 100,
+        };
+    };
+
+    // cancel a held checkout's payment intent; false when it's paid or being paid, so the
+    // webhook will redeem the use instead
+    const cancelPayment = async (paymentIntentId) => {
+        try {
+            await stripe.paymentIntents.cancel(paymentIntentId);
+            return true;
+        } catch (err) {
+            const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId).catch(() => null);
+            if (paymentIntent?.status === 'canceled') return true;
+            console.error(`Could not cancel payment intent ${paymentIntentId}:`, err.message);
+            return false;
+        }
+    };
+
+    // the payment went through: the held use becomes a real one (safe to call twice)
+    const redeemCoupon = async (redemptionId) => {
+        const redemption = await redemptions.findOneAndUpdate(
+            { _id: new ObjectId(redemptionId), status: 'reserved' },
+            { $set: { status: 'redeemed', redeemedAt: new Date() }, $unset: { expiresAt: '' } }
+        );
+        if (redemption) {
+            await coupons.updateOne({ code: redemption.code }, { $inc: { usedCount: 1, reservedCount: -1 } });
+        }
+    };
+
+    // give a held use back (safe to call twice; redeemed uses stay)
+    const releaseCoupon = async (redemptionId) => {
+        const redemption = await redemptions.findOneAndUpdate(
+            { _id: new ObjectId(redemptionId), status: 'reserved' },
+            { $set: { status: 'released', releasedAt: new Date() }, $unset: { held: '' } }
+        );
+        if (redemption) {
+            await coupons.updateOne({ code: redemption.code }, { $inc: { reservedCount: -1 } });
+        }
+    };
+
+    // hold one use of the coupon for this student's checkout of a class
+    // checking out the class again (a reload or retry) replaces the earlier checkout's hold and
+    // cancels its payment intent, unless that one is already being paid
+    const reserveCoupon = async (coupon, email, classId) => {
+        const earlier = await redemptions.find({ code: coupon.code, email, classId, status: 'reserved' }).toArray();
+        for (const redemption of earlier) {
+            // still being created by a parallel request: it keeps its slot
+            if (!redemption.paymentIntentId) continue;
+            if (!(await cancelPayment(redemption.paymentIntentId))) {
+                return { error: 'A payment with this coupon is already in progress' };
+            }
+            await releaseCoupon(redemption._id);
+        }
+
+        // the student's first free slot up to perUserLimit; the unique index settles races
+        let redemption = null;
+        for (let slot = 1; slot <= (coupon.perUserLimit || 1) && !redemption; slot++) {
+            const candidate = {
+                code: coupon.code,
+                email,
+                classId,
+                slot,
+                held: true, // unset on release, which frees the slot
+                status: 'reserved',
+                paymentIntentId: null,
+                reservedAt: new Date(),
+                expiresAt: new Date(Date.now() + holdMs),
+            };
+            try {
+                await redemptions.insertOne(candidate);
+                redemption = candidate;
+            } catch (err) {
+                if (err.code !== 11000) throw err;
+            }
+        }
+        if (!redemption) return { error: 'You have already used this coupon' };
+
+        const underLimit = coupon.maxUses
+            ? { $expr: { $lt: [{ $add: ['$usedCount', { $ifNull: ['$reservedCount', 0] }] }, '$maxUses'] } }
+            : {};
+        const counted = await coupons.updateOne({ code: coupon.code, ...underLimit }, { $inc: { reservedCount: 1 } });
+        if (!counted.modifiedCount) {
+            await redemptions.deleteOne({ _id: redemption._id });
+            return { error: 'Coupon usage limit reached' };
+        }
+        return { redemptionId: redemption._id };
+    };
+
+    // remember which payment intent a hold belongs to, so it can be cancelled later
+    const attachPayment = (redemptionId, paymentIntentId) =>
+        redemptions.updateOne({ _id: redemptionId }, { $set: { paymentIntentId } });
+
+    // release holds whose checkout was abandoned; the payment intent is cancelled first so it
+    // can't be paid at the discount after the use went back
+    const expireCouponHolds = async () => {
+        const expired = await redemptions.find({ status: 'reserved', expiresAt: { $lte: new Date() } }).toArray();
+        for (const redemption of expired) {
+            if (redemption.paymentIntentId && !(await cancelPayment(redemption.paymentIntentId))) {
+                // paid or being paid: the webhook redeems it, look again later
+                await redemptions.updateOne(
+                    { _id: redemption._id, status: 'reserved' },
+                    { $set: { expiresAt: new Date(Date.now() + holdMs) } }
+                );
+                continue;
+            }
+            await releaseCoupon(redemption._id);
+        }
+    };
+
+    return { applyCoupon, reserveCoupon, attachPayment, redeemCoupon, releaseCoupon, expireCouponHolds };
+};
+
+module.exports = { createCoupons };
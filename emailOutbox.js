@@ -0,0 +1,100 @@
+const { renderEmail } = require("./emailTemplates");
+
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 60 * 1000; // 1, 2, 4, 8, 16 minutes between attempts
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000; // a 'sending' email older than this was lost by a crashed worker
+
+// durable email queue stored in a collection, drained by a polling worker
+const createOutbox = (collection, transport) => {
+    // render now (from data the route already has) and store for the worker
+    const enqueue = async (to, template, data) => {
+        try {
+            const { subject, html, text } = renderEmail(template, data);
+            await collection.insertOne({
+                to,
+                template,
+                subject,
+                html,
+                text,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: new Date(),
+                createdAt: new Date(),
+            });
+        } catch (err) {
+            // queuing an email must not fail the request that caused it
+            console.error('Failed to queue email:', err);
+        }
+    };
+
+    // claim one due email so parallel workers never send it twice
+    const claimNext = () => {
+        const now = new Date();
+        return collection.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'pending', nextAttemptAt: { $lte: now } },
+                    { status: 'sending', lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) } },
+                ]
+            },
+            { $set: { status: 'sending', lockedAt: now } },
+            { sort: { nextAttemptAt: 1 } }
+        );
+    };
+
+    const sendOne = async (email) => {
+        try {
+            await transport.send({ to: email.to, subject: email.subject, html: email.html, text: email.text });
+            await collection.updateOne(
+                { _id: email._id },
+                { $set: { status: 'sent', sentAt: new Date() }, $unset: { lockedAt: '' }, $inc: { attempts: 1 } }
+            );
+        } catch (err) {
+            const attempts = email.attempts + 1;
+            const failed = attempts >= MAX_ATTEMPTS;
+            await collection.updateOne(
+                { _id: email._id },
+                {
+                    $set: {
+                        status: failed ? 'failed' : 'pending',
+                        attempts,
+                        lastError: err.message,
+                        nextAttemptAt: new Date(Date.now() + BASE_DELAY_MS * 2 ** (attempts - 1)),
+                    },
+                    $unset: { lockedAt: '' },
+                }
+            );
+            console.error(`Email to ${email.to} failed (attempt ${attempts}):`, err.message);
+        }
+    };
+
+    // send everything that's due, up to a batch size
+    const processDue = async (batchSize = 20) => {
+        for (let i = 0; i < batchSize; i++) {
+            const email = await claimNext();
+            if (!email) return;
+            await sendOne(email);
+        }
+    };
+
+    let running = false;
+    const start = (intervalMs = 30 * 1000) => {
+        const timer = setInterval(async () => {
+            if (running) return; // previous batch still sending
+            running = true;
+            try {
+                await processDue();
+            } catch (err) {
+                console.error('Email worker failed:', err);
+            } finally {
+                running = false;
+            }
+        }, intervalMs);
+        timer.unref();
+        return timer;
+    };
+
+    return { enqueue, processDue, start };
+};
+
+module.exports = { createOutbox };
@@ -0,0 +1,108 @@
+// transactional email templates, each returns { subject, html, text }
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatDate = (date) => new Date(date).toLocaleString('en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: 'UTC',
+}) + ' UTC';
+
+const formatAmount = (amount, currency = 'usd') =>
+    new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(amount);
+
+// shared html frame; paragraphs are escaped here
+const layout = (heading, paragraphs) => `<!doctype html>
+<html>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,sans-serif;color:#111827">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px">
+    <h1 style="margin-top:0;font-size:22px;color:#1e3a8a">${escapeHtml(heading)}</h1>
+    ${paragraphs.map(text => `<p style="line-height:1.5">${escapeHtml(text)}</p>`).join('\n    ')}
+    <p style="margin-top:32px;font-size:12px;color:#6b7280">TeachFlow</p>
+  </div>
+</body>
+</html>`;
+
+const build = (subject, heading, paragraphs) => ({
+    subject,
+    html: layout(heading, paragraphs),
+    text: [heading, '', ...paragraphs, '', '-- TeachFlow'].join('\n'),
+});
+
+const templates = {
+    verifyEmail: ({ name, code }) => build(
+        'Confirm your TeachFlow email',
+        'Confirm your email',
+        [
+            `Hi ${name || 'there'},`,
+            `Enter this code to finish creating your TeachFlow account: ${code}`,
+            `It expires in 24 hours. If you didn't sign up, you can ignore this email.`,
+        ]
+    ),
+
+    teacherApplicationReviewed: ({ name, status, reason }) => build(
+        `Your teacher application was ${status}`,
+        status === 'approved' ? 'Welcome to the TeachFlow teachers!' : 'About your teacher application',
+        [
+            `Hi ${name || 'there'},`,
+            status === 'approved'
+                ? 'Your application to teach on TeachFlow has been approved. You can now create and publish classes from your dashboard.'
+                : 'Unfortunately your application to teach on TeachFlow was not approved this time.',
+            ...(reason ? [`Reason: ${reason}`] : []),
+        ]
+    ),
+
+    classReviewed: ({ teacherName, classTitle, status }) => build(
+        `Your class "${classTitle}" was ${status}`,
+        `Class ${status}`,
+        [
+            `Hi ${teacherName || 'there'},`,
+            status === 'approved'
+                ? `"${classTitle}" has been approved and is now visible to students.`
+                : `"${classTitle}" was not approved. Please review it and submit again.`,
+        ]
+    ),
+
+    paymentReceipt: ({ name, classTitle, amount, currency, transactionId, paidAt }) => build(
+        `Receipt for ${classTitle}`,
+        'Payment received',
+        [
+            `Hi ${name || 'there'},`,
+            `Thanks for enrolling in "${classTitle}".`,
+            `Amount paid: ${formatAmount(amount, currency)}`,
+            `Transaction: ${transactionId}`,
+            `Date: ${formatDate(paidAt)}`,
+        ]
+    ),
+
+    assignmentReminder: ({ name, classTitle, assignmentTitle, dueDate }) => build(
+        `Reminder: "${assignmentTitle}" is due soon`,
+        'Assignment due soon',
+        [
+            `Hi ${name || 'there'},`,
+            `"${assignmentTitle}" in ${classTitle} is due ${formatDate(dueDate)} and you haven't submitted it yet.`,
+        ]
+    ),
+
+    waitlistSeatOffered: ({ name, classTitle, expiresAt }) => build(
+        `A seat opened up in ${classTitle}`,
+        'Your seat is waiting',
+        [
+            `Hi ${name || 'there'},`,
+            `A seat opened up in "${classTitle}" and it's yours if you enroll before ${formatDate(expiresAt)}.`,
+            'After that it goes to the next student on the waitlist.',
+        ]
+    ),
+};
+
+const renderEmail = (template, data) => {
+    if (!templates[template]) throw new Error(`Unknown email template: ${template}`);
+    return templates[template](data);
+};
+
+module.exports = { renderEmail };
@@ -0,0 +1,53 @@
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// every transport exposes send({ to, subject, html, text })
+
+const smtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail({ from: process.env.EMAIL_FROM, ...message }),
+    };
+};
+
+// development: writes each email as .html and .txt files
+const fileTransport = () => {
+    const dir = process.env.EMAIL_OUTPUT_DIR || path.join(__dirname, 'mail-outbox');
+
+    return {
+        name: 'file',
+        send: async (message) => {
+            await fs.mkdir(dir, { recursive: true });
+            const base = path.join(dir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}`);
+            const header = `To: ${message.to}\nSubject: ${message.subject}\n\n`;
+            await fs.writeFile(`${base}.html`, message.html);
+            await fs.writeFile(`${base}.txt`, header + message.text);
+        },
+    };
+};
+
+// development: prints the text body
+const consoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`📧 To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+    },
+});
+
+const transports = { smtp: smtpTransport, file: fileTransport, console: consoleTransport };
+
+// pick a transport by name, defaults to EMAIL_TRANSPORT or console
+const createTransport = (name = process.env.EMAIL_TRANSPORT || 'console') => {
+    if (!transports[name]) throw new Error(`Unknown email transport: ${name}`);
+    return transports[name]();
+};
+
+module.exports = { createTransport };
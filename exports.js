@@ -0,0 +1,82 @@
+const { once } = require("events");
+const { setImmediate } = require("timers/promises");
+const ExcelJS = require("exceljs");
+
+const contentTypes = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// cell text for a value; dates as ISO strings
+const cellText = (value) => {
+    if (value == null) return '';
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+};
+
+// quote for csv, and keep spreadsheet apps from running cells that look like formulas
+const csvCell = (value) => {
+    let text = cellText(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// wait for the response buffer to empty, or the client to go away
+const drained = async (res) => {
+    const waiting = new AbortController(); // stop listening for whichever event didn't happen
+    await Promise.race([
+        once(res, 'drain', { signal: waiting.signal }),
+        once(res, 'close', { signal: waiting.signal }),
+    ]).finally(() => waiting.abort());
+};
+
+// write and wait when the response buffer is full, so a slow client doesn't pile rows up in memory
+const write = async (res, chunk) => {
+    if (!res.write(chunk)) await drained(res);
+};
+
+const streamCsv = async (res, columns, cursor) => {
+    await write(res, '\uFEFF' + columns.map(column => csvCell(column.header)).join(',') + '\r\n'); // BOM for excel
+    for await (const doc of cursor) {
+        if (res.destroyed) break; // client went away
+        await write(res, columns.map(column => csvCell(column.value(doc))).join(',') + '\r\n');
+    }
+    res.end();
+};
+
+const streamXlsx = async (res, columns, cursor, sheetName) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(column => ({ header: column.header, width: column.width || 20 }));
+
+    let rows = 0;
+    for await (const doc of cursor) {
+        if (res.destroyed) break;
+        sheet.addRow(columns.map(column => {
+            const value = column.value(doc);
+            return value instanceof Date || typeof value === 'number' ? value : cellText(value);
+        })).commit();
+        // the workbook writes into res itself, through a zip stream that only passes rows on from
+        // the event loop: let it catch up now and then, and wait here when res is backed up
+        if (++rows % 100 === 0) await setImmediate();
+        if (res.writableNeedDrain) await drained(res);
+    }
+    await sheet.commit();
+    await workbook.commit();
+};
+
+// stream a cursor (find or aggregate) as a csv or xlsx download
+// columns: [{ header, value: (doc) => cell, width? }]
+const streamExport = async (res, { format, filename, sheetName = 'Export', columns, cursor }) => {
+    res.setHeader('Content-Type', contentTypes[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    try {
+        if (format === 'xlsx') await streamXlsx(res, columns, cursor, sheetName);
+        else await streamCsv(res, columns, cursor);
+    } finally {
+        await cursor.close();
+    }
+};
+
+module.exports = { streamExport };
@@ -0,0 +1,28 @@
+// background jobs called over http by a scheduler (the crons in vercel.json) instead of timers
+const crypto = require("crypto");
+
+// only callers with `Authorization: Bearer <secret>` get through, which is what vercel sends with
+// its cron requests; without a secret configured every call is refused
+const verifyCronSecret = (secret) => (req, res, next) => {
+    const given = Buffer.from(req.get('authorization') || '');
+    const expected = Buffer.from(`Bearer ${secret}`);
+    if (!secret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ message: 'Unauthorized' });
+    }
+    next();
+};
+
+// route handler running the job named in the path (validated against `jobs` beforehand)
+const runJob = (jobs) => async (req, res) => {
+    const { name } = req.params;
+    try {
+        const startedAt = Date.now();
+        await jobs[name]();
+        res.json({ job: name, durationMs: Date.now() - startedAt });
+    } catch (err) {
+        console.error(`Job ${name} failed:`, err);
+        res.status(500).json({ message: `Job ${name} failed` });
+    }
+};
+
+module.exports = { verifyCronSecret, runJob };
@@ -0,0 +1,190 @@
+// turns a succeeded stripe payment intent into a payment record plus an enrollment (or an
+// automatic refund when the student can't be enrolled)
+// the payment is inserted as 'processing' and only marked 'recorded' once its side effects are
+// done, so a webhook delivery that failed halfway is finished by stripe's next retry
+
+const LEASE_MS = 60 * 1000; // how long one delivery holds a payment before another may take over
+
+const createPaymentRecorder = ({
+    payments,
+    classes,
+    enrollments,
+    coupons,
+    stripe,
+    outbox,
+    enrollStudent,
+    joinWaitlist,
+    redeemCoupon,
+    releaseCoupon,
+    notify,
+    commissionRate,
+}) => {
+    // take the payment for this delivery, so two deliveries never enroll or refund at once
+    const claim = (transactionId) => {
+        const now = new Date();
+        return payments.findOneAndUpdate(
+            {
+                transactionId,
+                status: 'processing',
+                $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+            },
+            { $set: { lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+            { returnDocument: 'after' }
+        );
+    };
+
+    const refundUnenrolled = async (payment, paymentIntent, classData, reason) => {
+        const { classId, email, userName } = paymentIntent.metadata;
+
+        // remembered before refunding, so a retry refunds instead of enrolling into a freed seat
+        await payments.updateOne({ _id: payment._id }, { $set: { autoRefundReason: reason } });
+        const refund = await stripe.refunds.create(
+            { payment_intent: paymentIntent.id, metadata: { reason: `enrollment_${reason}` } },
+            { idempotencyKey: `enrollment-refund-${paymentIntent.id}` }
+        );
+        await payments.updateOne(
+            { _id: payment._id },
+            {
+                $set: {
+                    refundStatus: 'refunded',
+                    refundedAmount: payment.amount,
+                    refunds: [{ refundId: refund.id, amount: payment.amount, refundedAt: new Date() }],
+                }
+            }
+        );
+
+        const title = classData?.title || 'this class';
+        const reasons = {
+            enrolled: `You're already enrolled in ${title}, so your payment was refunded.`,
+            full: `${title} filled up before your payment went through. It was refunded and you're on the waitlist.`,
+            missing: `${title} is no longer available, so your payment was refunded.`,
+        };
+        if (reason === 'full') await joinWaitlist(classId, { email, name: userName });
+        await notify([email], {
+            type: 'enrollment_status',
+            title: 'Payment refunded',
+            message: reasons[reason],
+            data: { classId, transactionId: paymentIntent.id },
+        });
+
+        return refund.id;
+    };
+
+    // record payment & enrollment from a succeeded intent (safe to call again, and to retry after a failure)
+    // resolves to null when an earlier delivery already recorded it, or when the intent isn't a class checkout
+    const recordPayment = async (paymentIntent) => {
+        const { classId, email, userName, originalAmount, couponCode, discount } = paymentIntent.metadata || {};
+        if (!classId || !email) {
+            // another product on the account, or a checkout from before class metadata: acknowledged so
+            // stripe stops retrying it
+            console.error(`Payment intent ${paymentIntent.id} has no class or student metadata, not recorded`);
+            return null;
+        }
+
+        const amount = paymentIntent.amount_received / 100;
+        const paymentMethod = paymentIntent.payment_method_types?.[0] || 'card';
+        const paidAt = new Date((paymentIntent.created || Date.now() / 1000) * 1000);
+        const classData = await classes.findOne({ classId });
+
+        await payments.updateOne(
+            { transactionId: paymentIntent.id },
+            {
+                $setOnInsert: {
+                    classId,
+                    email,
+                    userName,
+                    amount,
+                    currency: paymentIntent.currency,
+                    paymentMethod,
+                    transactionId: paymentIntent.id,
+                    // metadata values are strings in cents
+                    originalPrice: originalAmount ? Number(originalAmount) / 100 : amount,
+                    coupon: couponCode ? { code: couponCode, discount: Number(discount) / 100 } : null,
+                    // fixed at payment time so later commission changes don't rewrite earnings
+                    teacherEmail: classData?.teacherEmail,
+                    commissionRate,
+                    paidAt,
+                    paidAtString: paidAt.toISOString(),
+                    status: 'processing',
+                }
+            },
+            { upsert: true }
+        );
+
+        const payment = await claim(paymentIntent.id);
+        if (!payment) {
+            const existing = await payments.findOne({ transactionId: paymentIntent.id });
+            // recorded by an earlier delivery (payments from before this status have none)
+            if (existing?.status !== 'processing') return null;
+            // failing makes stripe deliver it again once the other delivery is done or gave up
+            throw new Error(`Payment ${paymentIntent.id} is being recorded by another delivery`);
+        }
+
+        try {
+            return await finish(payment, paymentIntent, classData);
+        } catch (err) {
+            // let stripe's next delivery pick it up straight away
+            await payments.updateOne({ _id: payment._id, status: 'processing' }, { $unset: { lockedUntil: '' } }).catch(() => {});
+            throw err;
+        }
+    };
+
+    // enroll (or refund) and mark the payment recorded, skipping whatever an earlier attempt finished
+    const finish = async (payment, paymentIntent, classData) => {
+        const { email, userName, couponCode, couponRedemptionId } = paymentIntent.metadata;
+        const { amount, paymentMethod, paidAt } = payment;
+
+        // an earlier attempt may have got as far as enrolling, or deciding to refund
+        const enrolled = await enrollments.findOne(
+            { 'paymentInfo.transactionId': paymentIntent.id },
+            { projection: { _id: 1 } }
+        );
+        let enrollment;
+        if (enrolled) enrollment = { enrollmentId: enrolled._id };
+        else if (payment.autoRefundReason) enrollment = { error: payment.autoRefundReason };
+        else if (!classData) enrollment = { error: 'missing' };
+        else {
+            enrollment = await enrollStudent(classData, { email, name: userName }, {
+                transactionId: paymentIntent.id,
+                method: paymentMethod,
+                amount,
+                paidAt,
+            });
+        }
+
+        // the class filled up (or they enrolled another way) between checkout and payment: pay them back
+        let refundId;
+        if (enrollment.error) {
+            refundId = await refundUnenrolled(payment, paymentIntent, classData, enrollment.error);
+            // a refunded checkout doesn't use up the coupon
+            if (couponRedemptionId) await releaseCoupon(couponRedemptionId);
+        } else {
+            if (couponRedemptionId) await redeemCoupon(couponRedemptionId);
+            await outbox.enqueue(email, 'paymentReceipt', {
+                name: userName,
+                classTitle: classData.title,
+                amount,
+                currency: paymentIntent.currency,
+                transactionId: paymentIntent.id,
+                paidAt,
+            });
+        }
+
+        const recorded = await payments.updateOne(
+            { _id: payment._id, status: 'processing' },
+            { $set: { status: 'recorded', recordedAt: new Date() }, $unset: { lockedUntil: '' } }
+        );
+        // intents from before coupon holds: counted once, by whichever attempt finished the payment
+        if (recorded.modifiedCount && couponCode && !couponRedemptionId && !enrollment.error) {
+            await coupons.updateOne({ code: couponCode }, { $inc: { usedCount: 1 } });
+        }
+
+        return enrollment.error
+            ? { paymentId: payment._id, refundId }
+            : { paymentId: payment._id, enrollmentId: enrollment.enrollmentId };
+    };
+
+    return { recordPayment };
+};
+
+module.exports = { createPaymentRecorder };
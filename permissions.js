@@ -0,0 +1,31 @@
+// routes check named permissions; this is the only place that knows what each role may do
+
+const permissions = [
+    'class:teach', // create classes, manage own class content, coupons, earnings and payouts
+    'class:manageAny', // act on any teacher's classes, coupons and earnings
+    'class:review', // approve or reject classes
+    'teacherApplication:review',
+    'user:manageRoles',
+    'refund:review',
+    'payout:review',
+    'feedback:moderate',
+    'discussion:moderate', // hide, lock or delete any thread or reply
+    'certificate:viewAny',
+    'report:view', // analytics, coupon stats and the audit log
+];
+
+// students and plain users act on their own data only, which routes check by ownership
+const rolePermissions = {
+    user: [],
+    student: [],
+    teacher: ['class:teach'],
+    admin: permissions,
+};
+
+const roles = Object.keys(rolePermissions);
+
+const permissionsFor = (role) => rolePermissions[role] || [];
+
+const hasPermission = (role, permission) => permissionsFor(role).includes(permission);
+
+module.exports = { permissions, roles, permissionsFor, hasPermission };
@@ -0,0 +1,103 @@
+const { z } = require("zod");
+
+// page & limit params shared by every list endpoint
+const pageQuery = {
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+};
+
+// from/to params for a date range filter
+const dateRangeQuery = {
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+};
+
+// sort param limited to the keys of a sort map, e.g. sortQuery(classSorts, 'newest')
+const sortQuery = (sorts, fallback) => z.enum(Object.keys(sorts)).default(fallback);
+
+// mongo condition for a date range on one field (adds nothing when both ends are missing)
+const dateRange = (field, from, to) => {
+    if (!from && !to) return {};
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    return { [field]: range };
+};
+
+// mongo condition for a min/max range on a number field
+const numberRange = (field, min, max) => {
+    if (min == null && max == null) return {};
+    const range = {};
+    if (min != null) range.$gte = min;
+    if (max != null) range.$lte = max;
+    return { [field]: range };
+};
+
+// escape user input before it goes into a $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// regex source matching words that start with the prefix, allowing one typo
+// (missing, extra, wrong or swapped letter) once the prefix is long enough
+const fuzzyPrefixPattern = (prefix, minFuzzyLength = 4) => {
+    const any = Symbol('any letter');
+    const join = (parts) => parts.map(part => part === any ? '.' : escapeRegex(part)).join('');
+    const chars = [...prefix.toLowerCase()];
+    const variants = new Set([join(chars)]);
+
+    if (chars.length >= minFuzzyLength) {
+        for (let i = 0; i < chars.length; i++) {
+            variants.add(join([...chars.slice(0, i), ...chars.slice(i + 1)])); // missing
+            variants.add(join([...chars.slice(0, i), any, ...chars.slice(i + 1)])); // wrong
+            variants.add(join([...chars.slice(0, i), any, ...chars.slice(i)])); // extra
+            if (i < chars.length - 1) {
+                variants.add(join([...chars.slice(0, i), chars[i + 1], chars[i], ...chars.slice(i + 2)])); // swapped
+            }
+        }
+    }
+
+    return `\\b(?:${[...variants].join('|')})`;
+};
+
+const pageResult = (items, total, { page, limit }) => ({
+    items,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+});
+
+// one page of a find() with the total count
+const paginateFind = async (collection, filter, { page, limit, sort }) => {
+    const [items, total] = await Promise.all([
+        collection.find(filter, { sort, skip: (page - 1) * limit, limit }).toArray(),
+        collection.countDocuments(filter),
+    ]);
+    return pageResult(items, total, { page, limit });
+};
+
+// one page of an aggregation (the pipeline should already be sorted) with the total count
+// pageStages only run on the page's items, for lookups that don't affect order or count
+const paginateAggregate = async (collection, pipeline, { page, limit }, pageStages = []) => {
+    const [result] = await collection.aggregate([
+        ...pipeline,
+        {
+            $facet: {
+                items: [{ $skip: (page - 1) * limit }, { $limit: limit }, ...pageStages],
+                total: [{ $count: 'count' }],
+            }
+        }
+    ]).toArray();
+    return pageResult(result.items, result.total[0]?.count || 0, { page, limit });
+};
+
+module.exports = {
+    pageQuery,
+    dateRangeQuery,
+    sortQuery,
+    dateRange,
+    numberRange,
+    escapeRegex,
+    fuzzyPrefixPattern,
+    paginateFind,
+    paginateAggregate,
+};
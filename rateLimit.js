@@ -0,0 +1,127 @@
+// fixed-window rate limiting with a pluggable store
+// a store implements increment(key, windowMs) -> { count, resetAt } (starting a new window once
+// the old one has ended) and get(key) -> { count, resetAt } | null; resetAt is in ms
+
+// counters for this process only
+const createMemoryStore = ({ sweepMs = 60 * 1000 } = {}) => {
+    const windows = new Map(); // key -> { count, resetAt }
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }, sweepMs).unref();
+
+    return {
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count += 1;
+            return { ...window };
+        },
+        get: async (key) => {
+            const window = windows.get(key);
+            return window && window.resetAt > Date.now() ? { ...window } : null;
+        },
+    };
+};
+
+// counters shared by every server instance; give the collection a TTL index on resetAt
+const createMongoStore = (collection) => {
+    const increment = async (key, windowMs, retried = false) => {
+        const now = new Date();
+        const open = { $gt: ['$resetAt', now] };
+        try {
+            // one atomic update: count up in the open window, or start a new one
+            const window = await collection.findOneAndUpdate(
+                { _id: key },
+                [{
+                    $set: {
+                        count: { $cond: [open, { $add: ['$count', 1] }, 1] },
+                        resetAt: { $cond: [open, '$resetAt', new Date(now.getTime() + windowMs)] },
+                    }
+                }],
+                { upsert: true, returnDocument: 'after' }
+            );
+            return { count: window.count, resetAt: window.resetAt.getTime() };
+        } catch (err) {
+            // two first hits raced to insert the key
+            if (err.code === 11000 && !retried) return increment(key, windowMs, true);
+            throw err;
+        }
+    };
+
+    const get = async (key) => {
+        const window = await collection.findOne({ _id: key, resetAt: { $gt: new Date() } });
+        return window && { count: window.count, resetAt: window.resetAt.getTime() };
+    };
+
+    return { increment, get };
+};
+
+// who a limit applies to: the client address, or the signed-in user (after verifyToken)
+const byIp = (req) => `ip:${req.ip}`;
+const byUser = (req) => (req.decoded?.email ? `user:${req.decoded.email}` : byIp(req));
+
+const secondsUntil = (time) => Math.max(0, Math.ceil((time - Date.now()) / 1000));
+
+// allow `limit` requests per `windowMs` for each key; sends the RateLimit-* headers and a 429 past it
+const rateLimit = ({ store, name, windowMs, limit, key = byIp, skip, onLimited }) => async (req, res, next) => {
+    if (skip?.(req)) return next();
+
+    let window;
+    try {
+        window = await store.increment(`${name}:${key(req)}`, windowMs);
+    } catch (err) {
+        // a broken store shouldn't take the api down with it
+        console.error(`Rate limit ${name} failed:`, err);
+        return next();
+    }
+
+    const reset = secondsUntil(window.resetAt);
+    res.setHeader('RateLimit-Policy', `${limit};w=${Math.ceil(windowMs / 1000)}`);
+    res.setHeader('RateLimit-Limit', limit);
+    res.setHeader('RateLimit-Remaining', Math.max(0, limit - window.count));
+    res.setHeader('RateLimit-Reset', reset);
+
+    if (window.count > limit) {
+        res.setHeader('Retry-After', reset);
+        if (onLimited) await onLimited(req);
+        return res.status(429).json({ message: 'Too many requests, try again later' });
+    }
+    next();
+};
+
+// temporary blocks for repeat offenders: `strikes` rate-limited requests within `windowMs`
+// block the client address for `blockMs`
+const createBlocklist = ({ store, strikes, windowMs, blockMs }) => {
+    const strike = async (req) => {
+        try {
+            const { count } = await store.increment(`strikes:${req.ip}`, windowMs);
+            if (count >= strikes) await store.increment(`blocked:${req.ip}`, blockMs);
+        } catch (err) {
+            console.error('Failed to record rate limit strike:', err);
+        }
+    };
+
+    const middleware = async (req, res, next) => {
+        try {
+            const blocked = await store.get(`blocked:${req.ip}`);
+            if (blocked) {
+                res.setHeader('Retry-After', secondsUntil(blocked.resetAt));
+                return res.status(429).json({ message: 'Too many requests, temporarily blocked' });
+            }
+        } catch (err) {
+            console.error('Blocklist check failed:', err);
+        }
+        next();
+    };
+
+    return { strike, middleware };
+};
+
+module.exports = { createMemoryStore, createMongoStore, byIp, byUser, rateLimit, createBlocklist };
@@ -0,0 +1,183 @@
+// class recommendations for a student, from their enrollments, wishlist and favourite categories,
+// what students with the same classes also took, and popularity
+// co-enrollment ("students who took X also took Y") is precomputed by refresh() into one document
+// per class, so recommend() only reads a few small documents
+
+const MAX_RELATED = 50; // related classes kept per class
+const BATCH_SIZE = 500;
+
+// how much each signal counts towards a class's score
+const WEIGHTS = {
+    coEnrollment: 10, // times the cosine similarity with each of the student's classes
+    category: 3, // times the share of the student's classes in that category
+    popularity: 0.5, // times log10 of the enrollment count
+};
+const SEED_WEIGHTS = { enrolled: 1, wishlisted: 0.5 };
+
+const createRecommender = ({ classes, enrollments, wishlists, coEnrollments }) => {
+    const active = { status: { $ne: 'revoked' } };
+
+    // recount class pairs from active enrollments; replaces all stored co-enrollment data
+    const refresh = async () => {
+        const startedAt = new Date();
+        const counts = await enrollments.aggregate([
+            { $match: active },
+            { $group: { _id: '$classId', count: { $sum: 1 } } },
+        ]).toArray();
+        const enrollmentCount = new Map(counts.map(item => [item._id, item.count]));
+
+        const pairs = enrollments.aggregate([
+            { $match: active },
+            { $group: { _id: '$studentEmail', classIds: { $addToSet: '$classId' } } },
+            { $match: { 'classIds.1': { $exists: true } } }, // students with at least two classes
+            { $project: { source: '$classIds', other: '$classIds' } },
+            { $unwind: '$source' },
+            { $unwind: '$other' },
+            { $match: { $expr: { $ne: ['$source', '$other'] } } },
+            { $group: { _id: { source: '$source', other: '$other' }, count: { $sum: 1 } } },
+            { $group: { _id: '$_id.source', related: { $push: { classId: '$_id.other', count: '$count' } } } },
+            // keep the biggest overlaps before scoring, so huge catalogs stay small
+            { $project: { related: { $slice: [{ $sortArray: { input: '$related', sortBy: { count: -1 } } }, MAX_RELATED * 4] } } },
+        ], { allowDiskUse: true });
+
+        let batch = [];
+        const flush = async () => {
+            if (batch.length) await coEnrollments.bulkWrite(batch, { ordered: false });
+            batch = [];
+        };
+        const save = async (classId, related) => {
+            batch.push({
+                updateOne: {
+                    filter: { classId },
+                    update: { $set: { enrollmentCount: enrollmentCount.get(classId) || 0, related, updatedAt: startedAt } },
+                    upsert: true,
+                }
+            });
+            if (batch.length >= BATCH_SIZE) await flush();
+        };
+
+        const saved = new Set();
+        for await (const item of pairs) {
+            const sourceCount = enrollmentCount.get(item._id) || 1;
+            // cosine similarity, so a class everyone takes doesn't top every list
+            const related = item.related
+                .map(other => ({
+                    classId: other.classId,
+                    count: other.count,
+                    score: other.count / Math.sqrt(sourceCount * (enrollmentCount.get(other.classId) || 1)),
+                }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, MAX_RELATED);
+            await save(item._id, related);
+            saved.add(item._id);
+        }
+        // classes nobody else shares still count for popularity
+        for (const classId of enrollmentCount.keys()) {
+            if (!saved.has(classId)) await save(classId, []);
+        }
+        await flush();
+
+        await coEnrollments.deleteMany({ updatedAt: { $lt: startedAt } });
+        return { classes: enrollmentCount.size, updatedAt: startedAt };
+    };
+
+    // ranked { classId, score, reasons } for approved classes the student hasn't taken
+    const recommend = async (email, { limit = 10 } = {}) => {
+        const [enrolled, wishlisted] = await Promise.all([
+            enrollments.find({ studentEmail: email }, { projection: { classId: 1, status: 1 } }).toArray(),
+            wishlists.find({ studentEmail: email }, { projection: { classId: 1 } }).toArray(),
+        ]);
+        const taken = new Set(enrolled.map(enrollment => enrollment.classId)); // refunded ones too
+
+        // the student's classes and how much each says about them
+        const seeds = new Map();
+        for (const enrollment of enrolled) {
+            if (enrollment.status !== 'revoked') seeds.set(enrollment.classId, SEED_WEIGHTS.enrolled);
+        }
+        for (const item of wishlisted) {
+            if (!seeds.has(item.classId)) seeds.set(item.classId, SEED_WEIGHTS.wishlisted);
+        }
+
+        const candidates = new Map(); // classId -> { score, reasons }
+        const add = (classId, points, reason) => {
+            if (taken.has(classId) || !(points > 0)) return;
+            const candidate = candidates.get(classId) || { classId, score: 0, reasons: [] };
+            candidate.score += points;
+            if (reason && !candidate.reasons.includes(reason)) candidate.reasons.push(reason);
+            candidates.set(classId, candidate);
+        };
+
+        const seedClasses = await classes.find(
+            { classId: { $in: [...seeds.keys()] } },
+            { projection: { classId: 1, title: 1, category: 1 } }
+        ).toArray();
+        const titles = new Map(seedClasses.map(classData => [classData.classId, classData.title]));
+
+        // students who took X also took Y
+        const relations = await coEnrollments.find({ classId: { $in: [...seeds.keys()] } }, { projection: { classId: 1, related: 1 } }).toArray();
+        for (const relation of relations) {
+            for (const related of relation.related) {
+                add(
+                    related.classId,
+                    WEIGHTS.coEnrollment * seeds.get(relation.classId) * related.score,
+                    `Students who took "${titles.get(relation.classId)}" also took this`
+                );
+            }
+        }
+
+        // category history: the student's top three categories, by share of their classes
+        const categoryWeights = new Map();
+        let totalWeight = 0;
+        for (const classData of seedClasses) {
+            if (!classData.category) continue;
+            const weight = seeds.get(classData.classId);
+            categoryWeights.set(classData.category, (categoryWeights.get(classData.category) || 0) + weight);
+            totalWeight += weight;
+        }
+        const topCategories = [...categoryWeights].sort((a, b) => b[1] - a[1]).slice(0, 3);
+        if (topCategories.length) {
+            const share = new Map(topCategories.map(([category, weight]) => [category, weight / totalWeight]));
+            const inCategories = await classes.find(
+                { status: 'approved', category: { $in: [...share.keys()] }, classId: { $nin: [...taken] } },
+                { projection: { classId: 1, category: 1 }, limit: 200 }
+            ).toArray();
+            for (const classData of inCategories) {
+                add(classData.classId, WEIGHTS.category * share.get(classData.category), `Because you like ${classData.category}`);
+            }
+        }
+
+        // popularity: a tie-breaker for the above, and the whole ranking for new students
+        const popular = await coEnrollments.find(
+            { classId: { $nin: [...taken] } },
+            { sort: { enrollmentCount: -1 }, limit: Math.max(limit * 3, 30), projection: { classId: 1, enrollmentCount: 1 } }
+        ).toArray();
+        const candidateCounts = await coEnrollments.find(
+            { classId: { $in: [...candidates.keys()] } },
+            { projection: { classId: 1, enrollmentCount: 1 } }
+        ).toArray();
+        const counted = new Set();
+        for (const item of [...popular, ...candidateCounts]) {
+            if (counted.has(item.classId)) continue;
+            counted.add(item.classId);
+            const personal = candidates.has(item.classId);
+            add(item.classId, WEIGHTS.popularity * Math.log10(1 + item.enrollmentCount), personal ? null : 'Popular with students');
+        }
+
+        // only approved classes, and not the student's own
+        const approved = await classes.find(
+            { classId: { $in: [...candidates.keys()] }, status: 'approved', teacherEmail: { $ne: email } },
+            { projection: { classId: 1 } }
+        ).toArray();
+        const available = new Set(approved.map(classData => classData.classId));
+
+        return [...candidates.values()]
+            .filter(candidate => available.has(candidate.classId))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ classId, score, reasons }) => ({ classId, score: Math.round(score * 1000) / 1000, reasons }));
+    };
+
+    return { refresh, recommend };
+};
+
+module.exports = { createRecommender };
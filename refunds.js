@@ -0,0 +1,165 @@
+// refund requests: a student asks for (part of) a payment back, an admin approves it through
+// stripe or rejects it
+// a request is open from the moment it's asked until it's settled, and a payment has at most one
+// open request (unique index on transactionId where open)
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const createRefunds = ({ refunds, payments, enrollments, certificates, stripe, releaseSeat, promoteWaitlist }) => {
+    // resolves to { refundId }, or { error } with 'missing', 'refunded', 'amount' (plus refundable) or 'pending'
+    const requestRefund = async (email, { transactionId, amount, reason }) => {
+        const payment = await payments.findOne({ transactionId, email });
+        if (!payment) return { error: 'missing' };
+
+        const refundable = payment.amount - (payment.refundedAmount || 0);
+        if (refundable <= 0) return { error: 'refunded' };
+
+        // omitted amount means a full refund of what's left
+        const requestedAmount = amount ?? refundable;
+        if (requestedAmount > refundable) return { error: 'amount', refundable };
+
+        let result;
+        try {
+            result = await refunds.insertOne({
+                paymentId: payment._id,
+                transactionId,
+                classId: payment.classId,
+                email: payment.email,
+                amount: requestedAmount,
+                reason: reason || '',
+                status: 'pending',
+                open: true, // cleared once approved or rejected
+                requestedAt: new Date(),
+            });
+        } catch (err) {
+            // another request for this payment is still open
+            if (err.code === 11000) return { error: 'pending' };
+            throw err;
+        }
+        await payments.updateOne({ _id: payment._id }, { $set: { refundStatus: 'requested' } });
+
+        return { refundId: result.insertedId };
+    };
+
+    // approve (optionally for less than requested) or reject a pending request
+    // resolves to what changed, for the audit log, or { error } with 'missing', 'settled' (plus status),
+    // 'payment' or 'amount' (plus refundable); a failed stripe refund throws and leaves it pending
+    const reviewRefund = async (refundRequestId, { status, amount, reviewer }) => {
+        // claimed so two admins reviewing it at once can't both refund it
+        const refundRequest = await refunds.findOneAndUpdate(
+            { _id: refundRequestId, status: 'pending' },
+            { $set: { status: 'processing' } }
+        );
+        if (!refundRequest) {
+            const existing = await refunds.findOne({ _id: refundRequestId }, { projection: { status: 1 } });
+            return existing ? { error: 'settled', status: existing.status } : { error: 'missing' };
+        }
+        // hand it back for review when it can't be settled
+        const release = () => refunds.updateOne(
+            { _id: refundRequest._id, status: 'processing' },
+            { $set: { status: 'pending' } }
+        );
+
+        const payment = await payments.findOne({ _id: refundRequest.paymentId });
+        if (!payment) {
+            await release();
+            return { error: 'payment' };
+        }
+
+        const previousRefunded = payment.refundedAmount || 0;
+
+        if (status === 'rejected') {
+            await refunds.updateOne(
+                { _id: refundRequest._id },
+                { $set: { status, open: false, reviewedBy: reviewer, reviewedAt: new Date() } }
+            );
+            await payments.updateOne(
+                { _id: payment._id },
+                { $set: { refundStatus: previousRefunded > 0 ? 'partially_refunded' : 'rejected' } }
+            );
+            return { refundRequest, status };
+        }
+
+        const refundable = payment.amount - previousRefunded;
+        const refundAmount = amount ?? refundRequest.amount;
+        if (refundAmount > refundable) {
+            await release();
+            return { error: 'amount', refundable };
+        }
+
+        // older records may hold a charge id instead of a payment intent id
+        const source = payment.transactionId.startsWith('ch_')
+            ? { charge: payment.transactionId }
+            : { payment_intent: payment.transactionId };
+
+        let refund;
+        try {
+            refund = await stripe.refunds.create({
+                ...source,
+                amount: Math.round(refundAmount * 100), // amount in cents
+                metadata: { refundRequestId: refundRequest._id.toString() },
+            }, { idempotencyKey: `refund-${refundRequest._id}` });
+        } catch (error) {
+            await release();
+            throw error;
+        }
+
+        const refundedAmount = roundMoney(previousRefunded + refundAmount);
+        const fullyRefunded = refundedAmount >= payment.amount;
+
+        await payments.updateOne(
+            { _id: payment._id },
+            {
+                $set: {
+                    refundStatus: fullyRefunded ? 'refunded' : 'partially_refunded',
+                    refundedAmount,
+                },
+                $push: {
+                    refunds: {
+                        refundId: refund.id,
+                        amount: refundAmount,
+                        refundedAt: new Date(),
+                    }
+                }
+            }
+        );
+
+        await refunds.updateOne(
+            { _id: refundRequest._id },
+            {
+                $set: {
+                    status,
+                    open: false,
+                    approvedAmount: refundAmount,
+                    stripeRefundId: refund.id,
+                    reviewedBy: reviewer,
+                    reviewedAt: new Date(),
+                }
+            }
+        );
+
+        // full refund revokes access, partial refund only flags the enrollment
+        const enrollment = await enrollments.findOneAndUpdate(
+            { 'paymentInfo.transactionId': payment.transactionId },
+            {
+                $set: fullyRefunded
+                    ? { status: 'revoked', active: false, revokedAt: new Date(), refundedAmount }
+                    : { refundFlag: 'partial', refundedAmount }
+            }
+        );
+        if (fullyRefunded && enrollment) {
+            await certificates.updateOne({ enrollmentId: enrollment._id }, { $set: { revokedAt: new Date() } });
+            // the seat goes to the next student on the waitlist
+            if (enrollment.status !== 'revoked') {
+                await releaseSeat(enrollment.classId);
+                await promoteWaitlist(enrollment.classId);
+            }
+        }
+
+        return { refundRequest, status, previousRefunded, refundedAmount, fullyRefunded, refundId: refund.id };
+    };
+
+    return { requestRefund, reviewRefund };
+};
+
+module.exports = { createRefunds };
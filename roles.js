@@ -0,0 +1,36 @@
+// the signed-in user's role, looked up in the users collection through a short per-instance cache
+// a token's `role` claim is never trusted: it stays stale until the token refreshes, so a promotion
+// wouldn't apply and a demotion wouldn't take anything away; changing a role here clears this
+// instance's cache at once, and other instances pick it up within ttlMs
+const createRoles = ({ users, ttlMs, syncRoleClaim }) => {
+    const cache = new Map(); // email -> { role, expiresAt }
+
+    const invalidateRole = (email) => cache.delete(email);
+
+    const resolveRole = async (decoded) => {
+        const email = decoded?.email;
+        if (!email) return null;
+
+        const cached = cache.get(email);
+        if (cached && cached.expiresAt > Date.now()) return cached.role;
+
+        const user = await users.findOne({ email }, { projection: { role: 1 } });
+        const role = user?.role || null;
+        cache.set(email, { role, expiresAt: Date.now() + ttlMs });
+        // older accounts have no claim yet; the next token they get will carry it
+        if (role && !decoded.role && decoded.uid && decoded.provider !== 'local') syncRoleClaim(email, role, decoded.uid);
+        return role;
+    };
+
+    // the one way roles change: database, cache and token claim together
+    const changeRole = async (email, role) => {
+        const result = await users.updateOne({ email }, { $set: { role } });
+        invalidateRole(email);
+        await syncRoleClaim(email, role);
+        return result;
+    };
+
+    return { resolveRole, invalidateRole, changeRole };
+};
+
+module.exports = { createRoles };
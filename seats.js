@@ -0,0 +1,210 @@
+// seats, enrollment and waitlists
+// a class's seatsTaken counts active enrollments plus seats held by waitlist offers, and a class
+// without a capacity has unlimited seats; seats are taken and given back atomically, and a student
+// has at most one active enrollment per class (unique index on classId and studentEmail where active)
+
+// aggregation condition: the class has a seat left
+const hasFreeSeat = {
+    $or: [
+        { $eq: [{ $ifNull: ['$capacity', null] }, null] },
+        { $lt: [{ $ifNull: ['$seatsTaken', 0] }, '$capacity'] },
+    ]
+};
+
+const seatsLeft = (classData) => classData.capacity == null || (classData.seatsTaken || 0) < classData.capacity;
+
+// offerMs: how long a paid class's waitlist offer holds its seat
+const createSeats = ({ classes, enrollments, waitlist, wishlists, outbox, notify, isEnrolled, offerMs }) => {
+    // atomically take a seat if the class has room
+    const takeSeat = async (classId) =>
+        (await classes.updateOne({ classId, $expr: hasFreeSeat }, { $inc: { seatsTaken: 1 } })).modifiedCount === 1;
+    const releaseSeat = (classId) =>
+        classes.updateOne({ classId, seatsTaken: { $gt: 0 } }, { $inc: { seatsTaken: -1 } });
+
+    // recount from scratch, for classes created before seats were counted
+    const recountSeats = async (classId) => {
+        const enrolled = await enrollments.countDocuments({ classId, active: true });
+        const offered = await waitlist.countDocuments({ classId, status: 'offered' });
+        await classes.updateOne({ classId }, { $set: { seatsTaken: enrolled + offered } });
+    };
+
+    // insert the enrollment for a seat the caller already holds
+    // the unique index allows one active enrollment per student and class; on a duplicate the seat goes back
+    const insertEnrollment = async (classData, { email, name }, paymentInfo = null) => {
+        try {
+            const result = await enrollments.insertOne({
+                studentEmail: email,
+                classId: classData.classId,
+                enrolledAt: new Date(),
+                active: true, // cleared when a full refund revokes it
+                paymentInfo, // null for free classes
+                review: null, // will be added later
+            });
+            // they may also have been waiting for a seat or saving it for later
+            await wishlists.deleteOne({ studentEmail: email, classId: classData.classId });
+            await waitlist.updateOne(
+                { classId: classData.classId, studentEmail: email, open: true },
+                { $set: { status: 'enrolled', open: false, enrolledAt: new Date() } }
+            );
+            await notify([classData.teacherEmail], {
+                type: 'new_enrollment',
+                title: 'New enrollment',
+                message: `${name || email} enrolled in ${classData.title}.`,
+                data: { classId: classData.classId, studentEmail: email },
+            });
+            return result.insertedId;
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            await releaseSeat(classData.classId);
+            return null;
+        }
+    };
+
+    // enroll a student, using the seat their waitlist offer holds or taking a free one
+    // returns { enrollmentId } or { error: 'enrolled' | 'full' }
+    const enrollStudent = async (classData, student, paymentInfo = null) => {
+        const { classId } = classData;
+        if (await isEnrolled(student.email, classId)) return { error: 'enrolled' };
+
+        const offer = await waitlist.findOneAndUpdate(
+            { classId, studentEmail: student.email, status: 'offered' },
+            { $set: { status: 'enrolled', open: false, enrolledAt: new Date() } }
+        );
+        if (!offer && !(await takeSeat(classId))) return { error: 'full' };
+
+        const enrollmentId = await insertEnrollment(classData, student, paymentInfo);
+        if (!enrollmentId) {
+            if (offer) await promoteWaitlist(classId); // the offer's seat is free again
+            return { error: 'enrolled' };
+        }
+        return { enrollmentId };
+    };
+
+    // returns false when the student is already waiting or holding an offer
+    const joinWaitlist = async (classId, { email, name }) => {
+        try {
+            await waitlist.insertOne({
+                classId,
+                studentEmail: email,
+                studentName: name || null,
+                status: 'waiting',
+                open: true, // cleared once enrolled, expired or left
+                joinedAt: new Date(),
+            });
+            return true;
+        } catch (err) {
+            if (err.code === 11000) return false;
+            throw err;
+        }
+    };
+
+    // fill free seats from the front of the waitlist; never throws
+    // free classes enroll the student straight away, paid classes hold the seat as an offer
+    // the student has WAITLIST_OFFER_HOURS to pay for
+    const promoteWaitlist = async (classId) => {
+        try {
+            const classData = await classes.findOne({ classId, status: 'approved' });
+            if (!classData) return;
+            const free = !(Number(classData.price) > 0);
+
+            while (await takeSeat(classId)) {
+                const now = new Date();
+                const offerExpiresAt = new Date(now.getTime() + offerMs);
+                const entry = await waitlist.findOneAndUpdate(
+                    { classId, status: 'waiting' },
+                    {
+                        $set: free
+                            ? { status: 'enrolled', open: false, enrolledAt: now }
+                            : { status: 'offered', offeredAt: now, offerExpiresAt }
+                    },
+                    { sort: { joinedAt: 1 } }
+                );
+                if (!entry) {
+                    await releaseSeat(classId);
+                    return;
+                }
+
+                if (free) {
+                    if (!(await insertEnrollment(classData, { email: entry.studentEmail, name: entry.studentName }))) continue;
+                    await notify([entry.studentEmail], {
+                        type: 'enrollment_status',
+                        title: 'You got a seat',
+                        message: `A seat opened up in ${classData.title} and you've been enrolled.`,
+                        data: { classId },
+                    });
+                    continue;
+                }
+
+                await outbox.enqueue(entry.studentEmail, 'waitlistSeatOffered', {
+                    name: entry.studentName,
+                    classTitle: classData.title,
+                    expiresAt: offerExpiresAt,
+                });
+                await notify([entry.studentEmail], {
+                    type: 'enrollment_status',
+                    title: 'A seat is waiting for you',
+                    message: `A seat opened up in ${classData.title}. It's held for you until ${offerExpiresAt.toISOString()}.`,
+                    data: { classId, offerExpiresAt },
+                });
+            }
+        } catch (err) {
+            console.error(`Failed to promote waitlist for class ${classId}:`, err);
+        }
+    };
+
+    // unpaid offers give their seat to the next student in line
+    const expireWaitlistOffers = async () => {
+        const expired = await waitlist.find({ status: 'offered', offerExpiresAt: { $lte: new Date() } }).toArray();
+        for (const entry of expired) {
+            // claim it first so two instances don't both release the seat
+            const claimed = await waitlist.updateOne(
+                { _id: entry._id, status: 'offered' },
+                { $set: { status: 'expired', open: false, expiredAt: new Date() } }
+            );
+            if (!claimed.modifiedCount) continue;
+            await releaseSeat(entry.classId);
+            await promoteWaitlist(entry.classId);
+        }
+    };
+
+    // enrollments from before seat limits: mark the active ones (the unique index needs the flag),
+    // keeping the oldest of a student's duplicates from the old payment route active and the rest
+    // not; then build the index and count each class's seats (even if the index can't be built)
+    const migrateEnrollments = async () => {
+        const unmarked = enrollments.find(
+            { active: { $exists: false }, status: { $ne: 'revoked' } },
+            { sort: { enrolledAt: 1, _id: 1 } }
+        );
+        for await (const enrollment of unmarked) {
+            const kept = await enrollments.findOne(
+                { classId: enrollment.classId, studentEmail: enrollment.studentEmail, active: true },
+                { projection: { _id: 1 } }
+            );
+            await enrollments.updateOne(
+                { _id: enrollment._id },
+                { $set: kept ? { active: false, duplicateOf: kept._id } : { active: true } }
+            );
+        }
+
+        await enrollments.createIndex(
+            { classId: 1, studentEmail: 1 },
+            { unique: true, partialFilterExpression: { active: true } }
+        ).catch(err => console.error('Failed to index enrollments:', err));
+
+        const uncounted = classes.find({ seatsTaken: { $exists: false } }, { projection: { classId: 1 } });
+        for await (const classData of uncounted) await recountSeats(classData.classId);
+    };
+
+    return {
+        takeSeat,
+        releaseSeat,
+        recountSeats,
+        enrollStudent,
+        joinWaitlist,
+        promoteWaitlist,
+        expireWaitlistOffers,
+        migrateEnrollments,
+    };
+};
+
+module.exports = { seatsLeft, createSeats };
@@ -0,0 +1,210 @@
+// live session schedules: occurrences are wall-clock times in the session's timezone,
+// so a weekly 18:00 class stays at 18:00 across daylight saving changes
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 1000; // per expansion, so an open-ended series can't run away
+
+const isTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// local calendar date and time of an instant in a timezone
+const zonedParts = (timeZone, date) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(date);
+    return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+};
+
+// how far the timezone's wall clock is ahead of UTC at an instant, in ms
+const zoneOffset = (timeZone, date) => {
+    const local = zonedParts(timeZone, date);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// days since the epoch for a YYYY-MM-DD date
+const toDay = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+};
+// 0 = Sunday; 1970-01-01 was a Thursday
+const weekdayOf = (day) => (day + 4) % 7;
+
+// the instant a local date and HH:mm happen in a timezone (times skipped by DST land an hour later)
+const zonedTime = (day, time, timeZone) => {
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = day * DAY_MS + (hour * 60 + minute) * 60 * 1000;
+    const first = wallClock - zoneOffset(timeZone, new Date(wallClock));
+    return new Date(wallClock - zoneOffset(timeZone, new Date(first)));
+};
+
+const localDay = (timeZone, date) => {
+    const local = zonedParts(timeZone, date);
+    return Date.UTC(local.year, local.month - 1, local.day) / DAY_MS;
+};
+
+// does the series have an occurrence on this local day (ignoring count)
+const matchesRule = (session, day) => {
+    const start = toDay(session.startDate);
+    const { recurrence } = session;
+    if (day < start) return false;
+    if (!recurrence) return day === start;
+    if (recurrence.until && day > toDay(recurrence.until)) return false;
+
+    const interval = recurrence.interval || 1;
+    if (recurrence.frequency === 'daily') return (day - start) % interval === 0;
+
+    // weekly: weeks counted from the start's week (Sunday first), on the chosen weekdays
+    const weekdays = recurrence.weekdays?.length ? recurrence.weekdays : [weekdayOf(start)];
+    const week = ((day - weekdayOf(day)) - (start - weekdayOf(start))) / 7;
+    return week % interval === 0 && weekdays.includes(weekdayOf(day));
+};
+
+// original start times of the series' occurrences on local days firstDay..lastDay
+const originalStarts = (session, firstDay, lastDay) => {
+    const start = toDay(session.startDate);
+    const count = session.recurrence?.count;
+    // with a count, occurrences have to be numbered from the first one
+    let day = count ? start : Math.max(start, firstDay);
+    let seen = 0;
+    const starts = [];
+
+    for (; day <= lastDay && starts.length < MAX_OCCURRENCES; day++) {
+        if (!matchesRule(session, day)) continue;
+        if (count && ++seen > count) break;
+        if (day >= firstDay) starts.push(zonedTime(day, session.startTime, session.timezone));
+    }
+    return starts;
+};
+
+// is `start` one of the series' original occurrence times
+const isOccurrence = (session, start) => {
+    const day = localDay(session.timezone, start);
+    return originalStarts(session, day, day).some(candidate => candidate.getTime() === start.getTime());
+};
+
+const overrideFor = (session, key) => (session.overrides || []).find(override => override.occurrence === key);
+
+// apply an occurrence's reschedule or cancellation
+const buildOccurrence = (session, originalStart) => {
+    const key = originalStart.toISOString();
+    const override = overrideFor(session, key);
+    const start = override?.start ? new Date(override.start) : originalStart;
+    const durationMinutes = override?.durationMinutes ?? session.durationMinutes;
+
+    let status = 'scheduled';
+    if (override?.cancelled) status = 'cancelled';
+    else if (override?.start || override?.durationMinutes) status = 'rescheduled';
+
+    return {
+        sessionId: session._id,
+        classId: session.classId,
+        title: session.title,
+        description: session.description || null,
+        occurrence: key, // the original start, which identifies the occurrence even after a reschedule
+        start,
+        end: new Date(start.getTime() + durationMinutes * 60 * 1000),
+        timezone: session.timezone,
+        meetingLink: override?.meetingLink ?? session.meetingLink ?? null,
+        status,
+        sequence: session.sequence || 0, // bumped on every change so calendar apps pick it up
+        ...(override?.reason && { reason: override.reason }),
+    };
+};
+
+// occurrences starting between from and to (cancelled ones included), in start order
+const expandSession = (session, from, to) => {
+    // a day either side for timezone differences
+    const starts = originalStarts(session, localDay(session.timezone, from) - 1, localDay(session.timezone, to) + 1);
+    const occurrences = starts.map(start => buildOccurrence(session, start));
+
+    // occurrences rescheduled into the window from outside it
+    const keys = new Set(occurrences.map(occurrence => occurrence.occurrence));
+    for (const override of session.overrides || []) {
+        if (override.start && !keys.has(override.occurrence)) {
+            occurrences.push(buildOccurrence(session, new Date(override.occurrence)));
+        }
+    }
+
+    return occurrences
+        .filter(occurrence => occurrence.start >= from && occurrence.start < to)
+        .sort((a, b) => a.start - b.start);
+};
+
+// iCalendar (RFC 5545)
+
+const icsText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const icsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// lines longer than 75 octets continue on the next line after a space
+const fold = (line) => {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        if (size + charSize > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+// a calendar of occurrences; each occurrence is its own event so reschedules and
+// cancellations show up without clients having to understand recurrence exceptions
+const buildCalendar = ({ name, occurrences, host = 'teachflow' }) => {
+    const now = icsDate(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//TeachFlow//Live Sessions//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(name)}`,
+    ];
+
+    for (const occurrence of occurrences) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${occurrence.sessionId}-${icsDate(occurrence.occurrence)}@${host}`,
+            `DTSTAMP:${now}`,
+            `SEQUENCE:${occurrence.sequence || 0}`,
+            `DTSTART:${icsDate(occurrence.start)}`,
+            `DTEND:${icsDate(occurrence.end)}`,
+            `SUMMARY:${icsText(occurrence.classTitle ? `${occurrence.classTitle}: ${occurrence.title}` : occurrence.title)}`,
+            `STATUS:${occurrence.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        );
+        const description = [occurrence.description, occurrence.meetingLink && `Join: ${occurrence.meetingLink}`].filter(Boolean).join('\n');
+        if (description) lines.push(`DESCRIPTION:${icsText(description)}`);
+        if (occurrence.meetingLink) lines.push(`URL:${icsText(occurrence.meetingLink)}`, `LOCATION:${icsText(occurrence.meetingLink)}`);
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+module.exports = { isTimeZone, isOccurrence, buildOccurrence, expandSession, buildCalendar };
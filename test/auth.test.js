@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const {
+    hashPassword,
+    verifyPassword,
+    createVerificationCode,
+    checkVerificationCode,
+    createLocalProvider,
+    createAuth,
+} = require('../auth');
+const { createFakeCollection } = require('./fakeCollection');
+
+const setup = () => {
+    const users = createFakeCollection([{ email: 'sam@example.com', name: 'Sam', role: 'student' }]);
+    const refreshTokens = createFakeCollection();
+    const revokedTokens = createFakeCollection();
+    const local = createLocalProvider({ secret: 'test-secret', users, refreshTokens, revokedTokens });
+    return { local, user: users.docs[0], refreshTokens };
+};
+
+test('hashes passwords with a salt and verifies them', async () => {
+    const stored = await hashPassword('correct horse');
+    assert.match(stored, /^scrypt\$16384\$8\$1\$/);
+    assert.notEqual(stored, await hashPassword('correct horse'));
+
+    assert.equal(await verifyPassword('correct horse', stored), true);
+    assert.equal(await verifyPassword('wrong horse', stored), false);
+});
+
+test('accounts without a password never verify', async () => {
+    assert.equal(await verifyPassword('anything', undefined), false);
+    assert.equal(await verifyPassword('anything', 'bcrypt$whatever'), false);
+});
+
+test('email verification codes are stored hashed, match once issued and expire', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const { code, verification } = createVerificationCode(60 * 1000);
+
+    assert.ok(code.length >= 32);
+    assert.ok(!JSON.stringify(verification).includes(code));
+    assert.equal(checkVerificationCode(code, verification), true);
+    assert.equal(checkVerificationCode(createVerificationCode().code, verification), false);
+    assert.equal(checkVerificationCode(code, undefined), false);
+
+    t.mock.timers.tick(60 * 1000);
+    assert.equal(checkVerificationCode(code, verification), false);
+});
+
+test('access tokens carry the user and verify like firebase tokens', async () => {
+    const { local, user } = setup();
+    const { accessToken } = await local.issueTokens(user);
+
+    const decoded = await local.verify(accessToken);
+    assert.equal(decoded.email, 'sam@example.com');
+    assert.equal(decoded.role, 'student');
+    assert.equal(decoded.uid, user._id.toString());
+    assert.equal(decoded.provider, 'local');
+});
+
+test('revoked access tokens are refused', async () => {
+    const { local, user } = setup();
+    const { accessToken } = await local.issueTokens(user);
+
+    await local.revokeAccessToken(await local.verify(accessToken));
+    await assert.rejects(local.verify(accessToken), /revoked/);
+});
+
+test('refresh tokens rotate', async () => {
+    const { local, user, refreshTokens } = setup();
+    const first = await local.issueTokens(user);
+
+    const second = await local.refresh(first.refreshToken);
+    assert.ok(second.accessToken);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+
+    // both belong to the same sign-in
+    const [old, current] = refreshTokens.docs;
+    assert.equal(old.family, current.family);
+    assert.ok(old.revokedAt);
+    assert.equal(current.revokedAt, null);
+});
+
+test('reusing a rotated refresh token revokes the whole sign-in', async () => {
+    const { local, user, refreshTokens } = setup();
+    const first = await local.issueTokens(user);
+    const second = await local.refresh(first.refreshToken);
+    const otherSignIn = await local.issueTokens(user);
+
+    assert.equal(await local.refresh(first.refreshToken), null);
+    assert.equal(await local.refresh(second.refreshToken), null);
+
+    const stillValid = refreshTokens.docs.filter(token => token.revokedAt === null);
+    assert.equal(stillValid.length, 1);
+    assert.ok(await local.refresh(otherSignIn.refreshToken));
+});
+
+test('logging out revokes the refresh token without touching the family', async () => {
+    const { local, user } = setup();
+    const { refreshToken } = await local.issueTokens(user);
+
+    await local.revokeRefreshToken(refreshToken);
+    assert.equal(await local.refresh(refreshToken), null);
+});
+
+test('routes tokens to the provider that issued them', async () => {
+    const { local, user } = setup();
+    const firebase = { name: 'firebase', verify: async () => ({ uid: 'firebase-user' }) };
+    const auth = createAuth({ local, firebase });
+    const { accessToken } = await local.issueTokens(user);
+
+    assert.equal((await auth.verify(accessToken)).provider, 'local');
+    assert.deepEqual(await auth.verify(jwt.sign({ sub: 'x' }, 'other')), { uid: 'firebase-user' });
+    assert.throws(() => createAuth({}), /No auth provider configured/);
+    assert.throws(() => createAuth({ local }).verify(jwt.sign({ sub: 'x' }, 'other')), /Firebase tokens are not enabled/);
+});
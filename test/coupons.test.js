@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCoupons } = require('../coupons');
+const { createFakeCollection } = require('./fakeCollection');
+
+const classData = { classId: 'c1', teacherEmail: 'teacher@example.com', price: 80 };
+
+// coupons over fake collections with the unique slot index from index.js; stripe payment intents
+// are cancelled unless their status in `intents` says they were paid
+const setup = async (coupon = {}) => {
+    const intents = {};
+    const cancelled = [];
+    const deps = {
+        coupons: createFakeCollection([{ code: 'SAVE', type: 'percent', value: 25, active: true, usedCount: 0, reservedCount: 0, ...coupon }]),
+        redemptions: createFakeCollection(),
+        payments: createFakeCollection(),
+        stripe: {
+            paymentIntents: {
+                cancel: async (id) => {
+                    if (intents[id] === 'succeeded') throw new Error('This PaymentIntent has already succeeded');
+                    cancelled.push(id);
+                    intents[id] = 'canceled';
+                },
+                retrieve: async (id) => ({ id, status: intents[id] || 'requires_payment_method' }),
+            },
+        },
+        holdMs: 30 * 60 * 1000,
+    };
+    await deps.redemptions.createIndex({ code: 1, email: 1, slot: 1 }, { unique: true, partialFilterExpression: { held: true } });
+    const couponDoc = () => deps.coupons.docs[0];
+    return { deps, intents, cancelled, couponDoc, coupons: createCoupons(deps) };
+};
+
+// a checkout: a hold plus its payment intent
+const checkout = async (coupons, coupon, email, paymentIntentId) => {
+    const reservation = await coupons.reserveCoupon(coupon, email, 'c1');
+    if (reservation.redemptionId) await coupons.attachPayment(reservation.redemptionId, paymentIntentId);
+    return reservation;
+};
+
+test('prices a class and checks the coupon applies', async () => {
+    const { deps, coupons } = await setup({ classId: 'c1' });
+
+    const { coupon, ...pricing } = await coupons.applyCoupon('SAVE', classData, 'sam@example.com');
+    assert.equal(coupon.code, 'SAVE');
+    assert.deepEqual(pricing, { originalPrice: 80, discount: 20, amount: 60 });
+
+    assert.deepEqual(await coupons.applyCoupon('NOPE', classData, 'sam@example.com'), { error: 'Invalid coupon code' });
+    assert.deepEqual(await coupons.applyCoupon('SAVE', { ...classData, classId: 'c2' }, 'sam@example.com'), { error: 'Coupon is not valid for this class' });
+
+    await deps.payments.insertOne({ email: 'sam@example.com', coupon: { code: 'SAVE' } });
+    assert.deepEqual(await coupons.applyCoupon('SAVE', classData, 'sam@example.com'), { error: 'You have already used this coupon' });
+
+    deps.coupons.docs[0].expiresAt = new Date(Date.now() - 1000);
+    assert.deepEqual(await coupons.applyCoupon('SAVE', classData, 'kim@example.com'), { error: 'Coupon has expired' });
+});
+
+test('held uses count against maxUses until they are released', async () => {
+    const { coupons, couponDoc } = await setup({ maxUses: 2 });
+
+    const first = await coupons.reserveCoupon(couponDoc(), 'a@example.com', 'c1');
+    await coupons.reserveCoupon(couponDoc(), 'b@example.com', 'c1');
+    assert.deepEqual(await coupons.reserveCoupon(couponDoc(), 'c@example.com', 'c1'), { error: 'Coupon usage limit reached' });
+    assert.equal(couponDoc().reservedCount, 2);
+
+    await coupons.releaseCoupon(first.redemptionId);
+    await coupons.releaseCoupon(first.redemptionId);
+    assert.equal(couponDoc().reservedCount, 1);
+    assert.ok((await coupons.reserveCoupon(couponDoc(), 'c@example.com', 'c1')).redemptionId);
+});
+
+test('parallel checkouts hold at most perUserLimit uses per student', async () => {
+    const { deps, coupons, couponDoc } = await setup();
+
+    const results = await Promise.all([
+        coupons.reserveCoupon(couponDoc(), 'sam@example.com', 'c1'),
+        coupons.reserveCoupon(couponDoc(), 'sam@example.com', 'c2'),
+    ]);
+    assert.deepEqual(results.map(result => Boolean(result.redemptionId)).sort(), [false, true]);
+    assert.equal(deps.redemptions.docs.length, 1);
+    assert.equal(couponDoc().reservedCount, 1);
+});
+
+test('checking out the class again replaces the earlier hold and cancels its payment', async () => {
+    const { deps, coupons, couponDoc, cancelled } = await setup();
+
+    const first = await checkout(coupons, couponDoc(), 'sam@example.com', 'pi_1');
+    const second = await checkout(coupons, couponDoc(), 'sam@example.com', 'pi_2');
+
+    assert.ok(second.redemptionId);
+    assert.deepEqual(cancelled, ['pi_1']);
+    assert.equal((await deps.redemptions.findOne({ _id: first.redemptionId })).status, 'released');
+    assert.equal(couponDoc().reservedCount, 1);
+});
+
+test('a checkout that is already being paid keeps its hold', async (t) => {
+    const { deps, coupons, couponDoc, intents } = await setup();
+
+    const first = await checkout(coupons, couponDoc(), 'sam@example.com', 'pi_1');
+    intents.pi_1 = 'succeeded';
+    t.mock.method(console, 'error', () => {});
+    assert.deepEqual(
+        await coupons.reserveCoupon(couponDoc(), 'sam@example.com', 'c1'),
+        { error: 'A payment with this coupon is already in progress' }
+    );
+    assert.equal((await deps.redemptions.findOne({ _id: first.redemptionId })).status, 'reserved');
+});
+
+test('redeeming turns a hold into a use once', async () => {
+    const { deps, coupons, couponDoc } = await setup();
+    const { redemptionId } = await coupons.reserveCoupon(couponDoc(), 'sam@example.com', 'c1');
+
+    await coupons.redeemCoupon(redemptionId.toString());
+    await coupons.redeemCoupon(redemptionId.toString());
+    await coupons.releaseCoupon(redemptionId.toString()); // redeemed uses stay
+
+    assert.equal(couponDoc().usedCount, 1);
+    assert.equal(couponDoc().reservedCount, 0);
+    assert.equal(deps.redemptions.docs[0].status, 'redeemed');
+});
+
+test('expired holds are released after cancelling their payment, paid ones are kept', async (t) => {
+    const { deps, coupons, couponDoc, intents, cancelled } = await setup();
+    await checkout(coupons, couponDoc(), 'sam@example.com', 'pi_1');
+    await checkout(coupons, couponDoc(), 'kim@example.com', 'pi_2');
+    intents.pi_2 = 'succeeded';
+    deps.redemptions.docs.forEach(redemption => { redemption.expiresAt = new Date(Date.now() - 1000); });
+
+    t.mock.method(console, 'error', () => {});
+    await coupons.expireCouponHolds();
+
+    const [sam, kim] = deps.redemptions.docs;
+    assert.deepEqual(cancelled, ['pi_1']);
+    assert.equal(sam.status, 'released');
+    assert.equal(kim.status, 'reserved');
+    assert.ok(kim.expiresAt > new Date());
+    assert.equal(couponDoc().reservedCount, 1);
+});
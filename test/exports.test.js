@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { setImmediate: tick } = require('timers/promises');
+const ExcelJS = require('exceljs');
+const { streamExport } = require('../exports');
+
+// a response that buffers what's written to it (read it with `body()`) and records headers
+const response = (options) => {
+    const res = new PassThrough(options);
+    res.headers = {};
+    res.setHeader = (name, value) => { res.headers[name] = value; };
+    const chunks = [];
+    res.body = async () => {
+        for await (const chunk of res) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    };
+    return res;
+};
+
+// a cursor over docs that counts how far it was read and whether it was closed
+const cursor = (docs) => {
+    const state = { read: 0, closed: false };
+    return Object.assign(state, {
+        async *[Symbol.asyncIterator]() {
+            for (const doc of docs) {
+                state.read++;
+                yield doc;
+            }
+        },
+        close: async () => { state.closed = true; },
+    });
+};
+
+const columns = [
+    { header: 'Name', value: doc => doc.name },
+    { header: 'Paid', value: doc => doc.amount },
+    { header: 'At', value: doc => doc.paidAt },
+];
+const docs = [
+    { name: 'Sam, "the student"', amount: 50, paidAt: new Date('2025-03-01T10:00:00Z') },
+    { name: '=HYPERLINK("x")', amount: null },
+];
+
+test('csv exports quote cells and neutralize formulas', async () => {
+    const res = response();
+    const rows = cursor(docs);
+    const body = res.body();
+
+    await streamExport(res, { format: 'csv', filename: 'payments', columns, cursor: rows });
+
+    assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.equal(res.headers['Content-Disposition'], 'attachment; filename="payments.csv"');
+    assert.equal((await body).toString(), [
+        '﻿Name,Paid,At',
+        '"Sam, ""the student""",50,2025-03-01T10:00:00.000Z',
+        '"\'=HYPERLINK(""x"")",,',
+        '',
+    ].join('\r\n'));
+    assert.equal(rows.closed, true);
+});
+
+test('xlsx exports keep numbers and dates as cells', async () => {
+    const res = response();
+    const rows = cursor(docs);
+    const body = res.body();
+
+    await streamExport(res, { format: 'xlsx', filename: 'payments', sheetName: 'Payments', columns, cursor: rows });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await body);
+    const sheet = workbook.getWorksheet('Payments');
+    assert.deepEqual(sheet.getRow(1).values.slice(1), ['Name', 'Paid', 'At']);
+    assert.equal(sheet.getCell('A2').value, 'Sam, "the student"');
+    assert.equal(sheet.getCell('B2').value, 50);
+    assert.equal(sheet.getCell('C2').value.toISOString(), '2025-03-01T10:00:00.000Z');
+    assert.equal(sheet.getCell('A3').value, '=HYPERLINK("x")'); // text, not a formula
+    assert.equal(rows.closed, true);
+});
+
+for (const format of ['csv', 'xlsx']) {
+    test(`${format} exports stop reading rows while the client isn't reading`, async () => {
+        const res = response({ highWaterMark: 1024 });
+        const many = Array.from({ length: 5000 }, (_, n) => ({ name: `student ${n}`, amount: n }));
+        const rows = cursor(many);
+
+        const done = streamExport(res, { format, filename: 'big', columns, cursor: rows });
+        for (let i = 0; i < 20; i++) await tick();
+        assert.ok(rows.read < many.length, `read all ${rows.read} rows without a reader`);
+
+        await res.body();
+        await done;
+        assert.equal(rows.read, many.length);
+        assert.equal(rows.closed, true);
+    });
+}
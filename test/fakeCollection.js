@@ -0,0 +1,202 @@
+// a small in-memory stand-in for a mongodb collection, covering the queries and updates the
+// modules under test use; documents are plain objects with ObjectId ids
+const { ObjectId } = require("mongodb");
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const comparable = (value) => {
+    if (value instanceof ObjectId) return value.toHexString();
+    if (value instanceof Date) return value.getTime();
+    return value;
+};
+const equal = (a, b) => comparable(a ?? null) === comparable(b ?? null);
+
+const operators = {
+    $eq: (value, arg) => equal(value, arg),
+    $ne: (value, arg) => !equal(value, arg),
+    $in: (value, arg) => arg.some(item => equal(value, item)),
+    $nin: (value, arg) => !arg.some(item => equal(value, item)),
+    $gt: (value, arg) => value != null && comparable(value) > comparable(arg),
+    $gte: (value, arg) => value != null && comparable(value) >= comparable(arg),
+    $lt: (value, arg) => value != null && comparable(value) < comparable(arg),
+    $lte: (value, arg) => value != null && comparable(value) <= comparable(arg),
+    $exists: (value, arg) => (value !== undefined) === arg,
+};
+
+const isOperatorObject = (condition) => condition && typeof condition === 'object'
+    && !(condition instanceof Date) && !(condition instanceof ObjectId)
+    && Object.keys(condition).every(key => key.startsWith('$'));
+
+// aggregation expressions for $expr: field paths, literals and a few operators
+const expressions = {
+    $or: (values) => values.some(Boolean),
+    $and: (values) => values.every(Boolean),
+    $add: (values) => values.reduce((sum, value) => sum + value, 0),
+    $ifNull: ([value, fallback]) => value ?? fallback,
+    $eq: ([a, b]) => equal(a, b),
+    $lt: ([a, b]) => comparable(a) < comparable(b),
+    $lte: ([a, b]) => comparable(a) <= comparable(b),
+    $gt: ([a, b]) => comparable(a) > comparable(b),
+    $gte: ([a, b]) => comparable(a) >= comparable(b),
+};
+const evaluate = (expression, doc) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) return valueAt(doc, expression.slice(1));
+    if (!isOperatorObject(expression)) return expression;
+    const [[op, args]] = Object.entries(expression);
+    if (!expressions[op]) throw new Error(`fake collection: unsupported expression ${op}`);
+    return expressions[op]([].concat(args).map(arg => evaluate(arg, doc)));
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$expr') return Boolean(evaluate(condition, doc));
+    if (key === '$or') return condition.some(branch => matches(doc, branch));
+    if (key === '$and') return condition.every(branch => matches(doc, branch));
+    const value = valueAt(doc, key);
+    if (isOperatorObject(condition)) {
+        return Object.entries(condition).every(([op, arg]) => {
+            if (!operators[op]) throw new Error(`fake collection: unsupported operator ${op}`);
+            return operators[op](value, arg);
+        });
+    }
+    return equal(value, condition);
+});
+
+const setAt = (doc, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => (target[key] ??= {}), doc);
+    parent[last] = value;
+};
+const unsetAt = (doc, path) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => target?.[key], doc);
+    if (parent) delete parent[last];
+};
+
+const applyUpdate = (doc, update, inserting) => {
+    for (const [op, fields] of Object.entries(update)) {
+        for (const [path, value] of Object.entries(fields)) {
+            if (op === '$set') setAt(doc, path, value);
+            else if (op === '$setOnInsert') { if (inserting) setAt(doc, path, value); }
+            else if (op === '$unset') unsetAt(doc, path);
+            else if (op === '$inc') setAt(doc, path, (valueAt(doc, path) || 0) + value);
+            else if (op === '$push') setAt(doc, path, [...(valueAt(doc, path) || []), value]);
+            else throw new Error(`fake collection: unsupported update ${op}`);
+        }
+    }
+};
+
+const sortDocs = (docs, sort = {}) => [...docs].sort((a, b) => {
+    for (const [path, direction] of Object.entries(sort)) {
+        const x = comparable(valueAt(a, path));
+        const y = comparable(valueAt(b, path));
+        if (x !== y) return (x > y ? 1 : -1) * direction;
+    }
+    return 0;
+});
+
+// copies plain objects and arrays, keeping ids and dates as they are
+const clone = (value) => {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// equality fields of a filter become the new document's fields on upsert
+const seedFromFilter = (filter) => Object.fromEntries(
+    Object.entries(filter).filter(([key, condition]) => !key.startsWith('$') && !isOperatorObject(condition))
+);
+
+const createFakeCollection = (initial = []) => {
+    const docs = initial.map(doc => ({ _id: new ObjectId(), ...doc }));
+    const uniqueIndexes = [];
+    const copy = (doc) => doc && { ...doc };
+    const first = (filter, sort) => sortDocs(docs.filter(doc => matches(doc, filter)), sort)[0];
+
+    // throws like mongodb when a unique index (see createIndex) already holds the document's key
+    const checkUnique = (candidate, current) => {
+        for (const { keys, partialFilterExpression } of uniqueIndexes) {
+            const indexed = (doc) => !partialFilterExpression || matches(doc, partialFilterExpression);
+            if (!indexed(candidate)) continue;
+            const taken = docs.some(doc => doc !== current && indexed(doc)
+                && keys.every(key => equal(valueAt(doc, key), valueAt(candidate, key))));
+            if (taken) throw duplicateKeyError();
+        }
+    };
+    // updates are applied to a copy and only kept when no unique index objects
+    const update = (doc, changes) => {
+        const updated = clone(doc);
+        applyUpdate(updated, changes, false);
+        checkUnique(updated, doc);
+        Object.keys(doc).forEach(key => delete doc[key]);
+        Object.assign(doc, updated);
+    };
+    const upsert = (filter, changes) => {
+        const doc = { _id: new ObjectId(), ...seedFromFilter(filter) };
+        applyUpdate(doc, changes, true);
+        checkUnique(doc);
+        docs.push(doc);
+        return doc;
+    };
+    const cursor = (filter, { sort } = {}) => {
+        const results = () => sortDocs(docs.filter(doc => matches(doc, filter)), sort).map(copy);
+        return {
+            sort: (order) => cursor(filter, { sort: order }),
+            toArray: async () => results(),
+            [Symbol.asyncIterator]: () => results()[Symbol.iterator](),
+        };
+    };
+
+    return {
+        docs,
+        createIndex: async (keys, { unique, partialFilterExpression } = {}) => {
+            if (unique) uniqueIndexes.push({ keys: Object.keys(keys), partialFilterExpression });
+            return Object.keys(keys).join('_');
+        },
+        insertOne: async (doc) => {
+            doc._id ??= new ObjectId();
+            checkUnique(doc);
+            docs.push({ ...doc });
+            return { acknowledged: true, insertedId: doc._id };
+        },
+        findOne: async (filter) => copy(first(filter)),
+        find: cursor,
+        countDocuments: async (filter) => docs.filter(doc => matches(doc, filter)).length,
+        updateOne: async (filter, changes, { upsert: shouldUpsert } = {}) => {
+            const doc = first(filter);
+            if (doc) {
+                update(doc, changes);
+                return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+            }
+            if (!shouldUpsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: upsert(filter, changes)._id };
+        },
+        updateMany: async (filter, changes) => {
+            const matched = docs.filter(doc => matches(doc, filter));
+            matched.forEach(doc => update(doc, changes));
+            return { matchedCount: matched.length, modifiedCount: matched.length };
+        },
+        findOneAndUpdate: async (filter, changes, { returnDocument = 'before', upsert: shouldUpsert, sort } = {}) => {
+            const doc = first(filter, sort);
+            if (!doc) {
+                const inserted = shouldUpsert ? upsert(filter, changes) : null;
+                return returnDocument === 'after' ? copy(inserted) : null;
+            }
+            const before = copy(doc);
+            update(doc, changes);
+            return returnDocument === 'after' ? copy(doc) : before;
+        },
+        deleteOne: async (filter) => {
+            const index = docs.findIndex(doc => matches(doc, filter));
+            if (index >= 0) docs.splice(index, 1);
+            return { deletedCount: index >= 0 ? 1 : 0 };
+        },
+    };
+};
+
+module.exports = { createFakeCollection };
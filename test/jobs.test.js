@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyCronSecret, runJob } = require('../jobs');
+const vercel = require('../vercel.json');
+
+const request = (headers = {}, params = {}) => ({ params, get: (name) => headers[name.toLowerCase()] });
+const response = () => {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+};
+// run a middleware or handler; resolves to the response and whether it called next
+const run = async (handler, req) => {
+    const res = response();
+    let passed = false;
+    await handler(req, res, () => { passed = true; });
+    return { res, passed };
+};
+
+test('job routes need the cron secret as a bearer token', async () => {
+    const verify = verifyCronSecret('s3cret');
+
+    assert.equal((await run(verify, request({ authorization: 'Bearer s3cret' }))).passed, true);
+    for (const authorization of [undefined, 's3cret', 'Bearer wrong', 'Bearer s3cret2']) {
+        const { res, passed } = await run(verify, request({ authorization }));
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 401);
+    }
+});
+
+test('without a configured secret every call is refused', async () => {
+    for (const secret of [undefined, '']) {
+        const { res, passed } = await run(verifyCronSecret(secret), request({ authorization: `Bearer ${secret}` }));
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 401);
+    }
+});
+
+test('runs the named job and reports failures without details', async (t) => {
+    const ran = [];
+    const jobs = {
+        emails: async () => { ran.push('emails'); },
+        'coupon-holds': async () => { throw new Error('mongo down'); },
+    };
+
+    const { res } = await run(runJob(jobs), request({}, { name: 'emails' }));
+    assert.deepEqual(ran, ['emails']);
+    assert.equal(res.body.job, 'emails');
+    assert.equal(typeof res.body.durationMs, 'number');
+
+    t.mock.method(console, 'error', () => {});
+    const failed = await run(runJob(jobs), request({}, { name: 'coupon-holds' }));
+    assert.equal(failed.res.statusCode, 500);
+    assert.deepEqual(failed.res.body, { message: 'Job coupon-holds failed' });
+});
+
+test('vercel crons call job routes at most once a day, as the hobby plan requires', () => {
+    assert.ok(vercel.crons.length);
+    for (const { path, schedule } of vercel.crons) {
+        assert.match(path, /^\/jobs\/[a-z-]+$/);
+        const [minute, hour] = schedule.split(' ');
+        assert.match(`${minute} ${hour}`, /^\d+ \d+$/, `${path} runs more than once a day`);
+    }
+});
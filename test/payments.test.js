@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPaymentRecorder } = require('../payments');
+const { createFakeCollection } = require('./fakeCollection');
+
+const classData = { classId: 'c1', title: 'Algebra', teacherEmail: 'teacher@example.com', price: 50 };
+
+const paymentIntent = (metadata = {}) => ({
+    id: 'pi_1',
+    amount_received: 5000,
+    currency: 'usd',
+    created: 1700000000,
+    payment_method_types: ['card'],
+    metadata: { classId: 'c1', email: 'student@example.com', userName: 'Sam', originalAmount: '5000', ...metadata },
+});
+
+// a recorder over fake collections; enrollStudent enrolls (or fails with `enrollError`) and
+// every side effect is counted
+const setup = ({ enrollError = null } = {}) => {
+    const calls = { enroll: 0, refunds: [], receipts: 0, waitlist: 0, notify: 0, redeemed: 0, released: 0 };
+    const enrollments = createFakeCollection();
+    const deps = {
+        payments: createFakeCollection(),
+        classes: createFakeCollection([classData]),
+        enrollments,
+        coupons: createFakeCollection([{ code: 'SAVE', usedCount: 0 }]),
+        stripe: {
+            refunds: {
+                create: async (params, options) => {
+                    calls.refunds.push({ params, options });
+                    return { id: `re_${calls.refunds.length}` };
+                },
+            },
+        },
+        outbox: { enqueue: async () => { calls.receipts++; } },
+        enrollStudent: async (target, student, paymentInfo) => {
+            calls.enroll++;
+            if (enrollError) return { error: enrollError };
+            const { insertedId } = await enrollments.insertOne({ classId: target.classId, studentEmail: student.email, paymentInfo });
+            return { enrollmentId: insertedId };
+        },
+        joinWaitlist: async () => { calls.waitlist++; },
+        redeemCoupon: async () => { calls.redeemed++; },
+        releaseCoupon: async () => { calls.released++; },
+        notify: async () => { calls.notify++; },
+        commissionRate: 0.2,
+    };
+    return { deps, calls, recorder: createPaymentRecorder(deps) };
+};
+
+test('records the payment and enrollment once across repeated deliveries', async () => {
+    const { deps, calls, recorder } = setup();
+
+    const first = await recorder.recordPayment(paymentIntent({ couponCode: 'SAVE', discount: '0', couponRedemptionId: 'r1' }));
+    const second = await recorder.recordPayment(paymentIntent({ couponCode: 'SAVE', discount: '0', couponRedemptionId: 'r1' }));
+
+    assert.ok(first.enrollmentId);
+    assert.equal(second, null);
+    assert.equal(deps.payments.docs.length, 1);
+    assert.equal(deps.payments.docs[0].status, 'recorded');
+    assert.equal(deps.payments.docs[0].amount, 50);
+    assert.equal(deps.enrollments.docs.length, 1);
+    assert.equal(calls.enroll, 1);
+    assert.equal(calls.receipts, 1);
+    assert.equal(calls.redeemed, 1);
+});
+
+test('a delivery that failed after enrolling is finished by the retry without enrolling again', async () => {
+    const { deps, calls, recorder } = setup();
+    deps.outbox.enqueue = async () => { throw new Error('outbox down'); };
+
+    await assert.rejects(recorder.recordPayment(paymentIntent()), /outbox down/);
+    assert.equal(deps.payments.docs[0].status, 'processing');
+    assert.equal(deps.payments.docs[0].lockedUntil, undefined); // released for the retry
+
+    deps.outbox.enqueue = async () => { calls.receipts++; };
+    const retried = await recorder.recordPayment(paymentIntent());
+
+    assert.ok(retried.enrollmentId);
+    assert.equal(calls.enroll, 1);
+    assert.equal(calls.receipts, 1);
+    assert.equal(deps.payments.docs[0].status, 'recorded');
+});
+
+test('legacy coupon intents count the coupon once', async () => {
+    const { deps, recorder } = setup();
+
+    await recorder.recordPayment(paymentIntent({ couponCode: 'SAVE', discount: '500' }));
+    await recorder.recordPayment(paymentIntent({ couponCode: 'SAVE', discount: '500' }));
+
+    assert.equal(deps.coupons.docs[0].usedCount, 1);
+    assert.deepEqual(deps.payments.docs[0].coupon, { code: 'SAVE', discount: 5 });
+});
+
+test('refunds a payment for a full class once, with an idempotency key', async () => {
+    const { deps, calls, recorder } = setup({ enrollError: 'full' });
+
+    const result = await recorder.recordPayment(paymentIntent({ couponRedemptionId: 'r1' }));
+    await recorder.recordPayment(paymentIntent({ couponRedemptionId: 'r1' }));
+
+    assert.equal(result.refundId, 're_1');
+    assert.equal(calls.refunds.length, 1);
+    assert.deepEqual(calls.refunds[0].options, { idempotencyKey: 'enrollment-refund-pi_1' });
+    assert.equal(calls.waitlist, 1);
+    assert.equal(calls.released, 1);
+    assert.equal(calls.redeemed, 0);
+
+    const [payment] = deps.payments.docs;
+    assert.equal(payment.status, 'recorded');
+    assert.equal(payment.refundStatus, 'refunded');
+    assert.equal(payment.autoRefundReason, 'full');
+    assert.equal(payment.refunds.length, 1);
+});
+
+test('a retry after a failed refund refunds instead of enrolling into a freed seat', async () => {
+    const { deps, calls, recorder } = setup({ enrollError: 'full' });
+    const create = deps.stripe.refunds.create;
+    deps.stripe.refunds.create = async () => { throw new Error('stripe unavailable'); };
+
+    await assert.rejects(recorder.recordPayment(paymentIntent()), /stripe unavailable/);
+    assert.equal(deps.payments.docs[0].autoRefundReason, 'full');
+
+    // a seat opened up in the meantime
+    deps.enrollStudent = async () => { throw new Error('should not enroll'); };
+    deps.stripe.refunds.create = create;
+    const { recordPayment } = createPaymentRecorder(deps);
+    const result = await recordPayment(paymentIntent());
+
+    assert.equal(result.refundId, 're_1');
+    assert.equal(calls.enroll, 1);
+    assert.equal(deps.payments.docs[0].status, 'recorded');
+});
+
+test('a delivery arriving while another holds the payment fails so stripe retries it', async () => {
+    const { deps, recorder } = setup();
+    await deps.payments.insertOne({
+        transactionId: 'pi_1',
+        status: 'processing',
+        amount: 50,
+        lockedUntil: new Date(Date.now() + 60 * 1000),
+    });
+
+    await assert.rejects(recorder.recordPayment(paymentIntent()), /being recorded by another delivery/);
+    assert.equal(deps.enrollments.docs.length, 0);
+});
+
+test('payments recorded before the status field are left alone', async () => {
+    const { deps, calls, recorder } = setup();
+    await deps.payments.insertOne({ transactionId: 'pi_1', amount: 50 });
+
+    assert.equal(await recorder.recordPayment(paymentIntent()), null);
+    assert.equal(calls.enroll, 0);
+});
+
+test('skips intents without class or student metadata', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { recorder, deps, calls } = setup();
+
+    assert.equal(await recorder.recordPayment({ id: 'pi_2', metadata: {} }), null);
+    assert.equal(await recorder.recordPayment({ id: 'pi_3' }), null);
+    assert.equal(deps.payments.docs.length, 0);
+    assert.equal(calls.enroll, 0);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { z } = require('zod');
+const {
+    pageQuery,
+    dateRangeQuery,
+    sortQuery,
+    dateRange,
+    numberRange,
+    escapeRegex,
+    fuzzyPrefixPattern,
+    paginateFind,
+    paginateAggregate,
+} = require('../query');
+
+test('page params default, coerce and cap', () => {
+    const schema = z.object(pageQuery);
+    assert.deepEqual(schema.parse({}), { page: 1, limit: 20 });
+    assert.deepEqual(schema.parse({ page: '3', limit: '50' }), { page: 3, limit: 50 });
+    assert.equal(schema.safeParse({ limit: '101' }).success, false);
+    assert.equal(schema.safeParse({ page: '0' }).success, false);
+});
+
+test('date range params coerce to dates', () => {
+    const { from } = z.object(dateRangeQuery).parse({ from: '2025-01-01' });
+    assert.ok(from instanceof Date);
+    assert.equal(z.object(dateRangeQuery).safeParse({ to: 'not a date' }).success, false);
+});
+
+test('sort params only accept known sorts', () => {
+    const sort = sortQuery({ newest: { createdAt: -1 }, oldest: { createdAt: 1 } }, 'newest');
+    assert.equal(sort.parse(undefined), 'newest');
+    assert.equal(sort.parse('oldest'), 'oldest');
+    assert.equal(sort.safeParse('price').success, false);
+});
+
+test('range conditions only include the given ends', () => {
+    const from = new Date('2025-01-01');
+    const to = new Date('2025-02-01');
+    assert.deepEqual(dateRange('paidAt'), {});
+    assert.deepEqual(dateRange('paidAt', from), { paidAt: { $gte: from } });
+    assert.deepEqual(dateRange('paidAt', from, to), { paidAt: { $gte: from, $lte: to } });
+
+    assert.deepEqual(numberRange('price'), {});
+    assert.deepEqual(numberRange('price', 0), { price: { $gte: 0 } });
+    assert.deepEqual(numberRange('price', null, 20), { price: { $lte: 20 } });
+});
+
+test('escapes regex characters in user input', () => {
+    assert.equal(escapeRegex('c++ (intro).*'), 'c\\+\\+ \\(intro\\)\\.\\*');
+    assert.ok(new RegExp(escapeRegex('a.b')).test('a.b'));
+    assert.ok(!new RegExp(escapeRegex('a.b')).test('axb'));
+});
+
+test('fuzzy prefixes match word starts with at most one typo', () => {
+    const matches = (prefix, title) => new RegExp(fuzzyPrefixPattern(prefix), 'i').test(title);
+
+    assert.ok(matches('alg', 'Intro to Algebra'));
+    assert.ok(!matches('alg', 'Intro to Aglebra')); // too short for typos
+    assert.ok(!matches('gebra', 'Algebra')); // not at a word start
+
+    assert.ok(matches('algebra', 'Algbra basics')); // missing letter
+    assert.ok(matches('algebra', 'Alxebra')); // wrong letter
+    assert.ok(matches('algebra', 'Allgebra')); // extra letter
+    assert.ok(matches('algebra', 'Aglebra')); // swapped letters
+    assert.ok(!matches('algebra', 'Axgxbra')); // two typos
+});
+
+test('paginateFind returns a page with totals', async () => {
+    const calls = {};
+    const collection = {
+        find: (filter, options) => {
+            calls.find = options;
+            return { toArray: async () => [{ n: 3 }, { n: 4 }] };
+        },
+        countDocuments: async () => 5,
+    };
+
+    const result = await paginateFind(collection, { status: 'approved' }, { page: 2, limit: 2, sort: { n: 1 } });
+    assert.deepEqual(calls.find, { sort: { n: 1 }, skip: 2, limit: 2 });
+    assert.deepEqual(result, { items: [{ n: 3 }, { n: 4 }], total: 5, page: 2, limit: 2, totalPages: 3 });
+});
+
+test('paginateAggregate pages in a facet and runs page stages on the page only', async () => {
+    let pipeline;
+    const collection = {
+        aggregate: (stages) => {
+            pipeline = stages;
+            return { toArray: async () => [{ items: [{ n: 1 }], total: [{ count: 1 }] }] };
+        },
+    };
+    const lookup = { $lookup: { from: 'enrollments', localField: 'classId', foreignField: 'classId', as: 'enrollments' } };
+
+    const result = await paginateAggregate(collection, [{ $match: {} }, { $sort: { n: 1 } }], { page: 3, limit: 10 }, [lookup]);
+    assert.deepEqual(pipeline.at(-1), {
+        $facet: {
+            items: [{ $skip: 20 }, { $limit: 10 }, lookup],
+            total: [{ $count: 'count' }],
+        }
+    });
+    assert.deepEqual(result, { items: [{ n: 1 }], total: 1, page: 3, limit: 10, totalPages: 1 });
+});
+
+test('paginateAggregate reports an empty result', async () => {
+    const collection = { aggregate: () => ({ toArray: async () => [{ items: [], total: [] }] }) };
+    const result = await paginateAggregate(collection, [], { page: 1, limit: 20 });
+    assert.deepEqual(result, { items: [], total: 0, page: 1, limit: 20, totalPages: 0 });
+});
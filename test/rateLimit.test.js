@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, byIp, byUser, rateLimit, createBlocklist } = require('../rateLimit');
+
+const request = (fields = {}) => ({ ip: '203.0.113.5', ...fields });
+const response = () => {
+    const res = { headers: {}, statusCode: 200, body: null };
+    res.setHeader = (name, value) => { res.headers[name] = value; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+};
+// run a middleware; resolves to the response and whether it called next
+const run = async (middleware, req) => {
+    const res = response();
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return { res, passed };
+};
+
+test('memory store counts within a window and starts a new one after it ends', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const store = createMemoryStore();
+
+    assert.deepEqual(await store.increment('key', 1000), { count: 1, resetAt: 1000 });
+    assert.deepEqual(await store.increment('key', 1000), { count: 2, resetAt: 1000 });
+    assert.deepEqual(await store.get('key'), { count: 2, resetAt: 1000 });
+
+    t.mock.timers.tick(1000);
+    assert.equal(await store.get('key'), null);
+    assert.deepEqual(await store.increment('key', 1000), { count: 1, resetAt: 2000 });
+});
+
+test('limits by address, or by signed-in user', () => {
+    assert.equal(byIp(request()), 'ip:203.0.113.5');
+    assert.equal(byUser(request()), 'ip:203.0.113.5');
+    assert.equal(byUser(request({ decoded: { email: 'sam@example.com' } })), 'user:sam@example.com');
+});
+
+test('allows requests up to the limit, then answers 429 with headers', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const limiter = rateLimit({ store: createMemoryStore(), name: 'test', windowMs: 60 * 1000, limit: 2 });
+
+    const first = await run(limiter, request());
+    assert.equal(first.passed, true);
+    assert.equal(first.res.headers['RateLimit-Limit'], 2);
+    assert.equal(first.res.headers['RateLimit-Remaining'], 1);
+    assert.equal(first.res.headers['RateLimit-Reset'], 60);
+    assert.equal(first.res.headers['RateLimit-Policy'], '2;w=60');
+
+    await run(limiter, request());
+    t.mock.timers.tick(15 * 1000);
+    const limited = await run(limiter, request());
+    assert.equal(limited.passed, false);
+    assert.equal(limited.res.statusCode, 429);
+    assert.equal(limited.res.headers['Retry-After'], 45);
+
+    // another client has its own window
+    assert.equal((await run(limiter, request({ ip: '198.51.100.7' }))).passed, true);
+
+    t.mock.timers.tick(45 * 1000);
+    assert.equal((await run(limiter, request())).passed, true);
+});
+
+test('skipped requests are not counted', async () => {
+    const limiter = rateLimit({ store: createMemoryStore(), name: 'test', windowMs: 1000, limit: 1, skip: req => req.internal });
+    await run(limiter, request({ internal: true }));
+    assert.equal((await run(limiter, request())).passed, true);
+});
+
+test('a failing store lets requests through', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const store = { increment: async () => { throw new Error('store down'); } };
+    const limiter = rateLimit({ store, name: 'test', windowMs: 1000, limit: 1 });
+    assert.equal((await run(limiter, request())).passed, true);
+});
+
+test('repeatedly limited clients are blocked for a while', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const store = createMemoryStore();
+    const blocklist = createBlocklist({ store, strikes: 3, windowMs: 60 * 1000, blockMs: 5 * 60 * 1000 });
+    const limiter = rateLimit({ store, name: 'test', windowMs: 60 * 1000, limit: 1, onLimited: blocklist.strike });
+
+    for (let i = 0; i < 3; i++) await run(limiter, request());
+    assert.equal((await run(blocklist.middleware, request())).passed, true); // two strikes so far
+
+    await run(limiter, request());
+    const blocked = await run(blocklist.middleware, request());
+    assert.equal(blocked.passed, false);
+    assert.equal(blocked.res.statusCode, 429);
+    assert.equal(blocked.res.headers['Retry-After'], 300);
+    assert.equal((await run(blocklist.middleware, request({ ip: '198.51.100.7' }))).passed, true);
+
+    t.mock.timers.tick(5 * 60 * 1000);
+    assert.equal((await run(blocklist.middleware, request())).passed, true);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRefunds } = require('../refunds');
+const { createFakeCollection } = require('./fakeCollection');
+
+// a paid enrollment over fake collections, with the unique index from index.js; stripe refunds and
+// freed seats are recorded in `calls`
+const setup = async () => {
+    const calls = { refunds: [], released: 0, promoted: 0 };
+    const deps = {
+        refunds: createFakeCollection(),
+        payments: createFakeCollection([{ transactionId: 'pi_1', email: 'sam@example.com', classId: 'c1', amount: 50 }]),
+        enrollments: createFakeCollection([{ classId: 'c1', studentEmail: 'sam@example.com', active: true, paymentInfo: { transactionId: 'pi_1' } }]),
+        certificates: createFakeCollection(),
+        stripe: {
+            refunds: {
+                create: async (params, options) => {
+                    calls.refunds.push({ params, options });
+                    return { id: `re_${calls.refunds.length}` };
+                },
+            },
+        },
+        releaseSeat: async () => { calls.released++; },
+        promoteWaitlist: async () => { calls.promoted++; },
+    };
+    await deps.refunds.createIndex({ transactionId: 1 }, { unique: true, partialFilterExpression: { open: true } });
+    return { deps, calls, refunds: createRefunds(deps) };
+};
+
+test('a payment has one open refund request at a time', async () => {
+    const { deps, refunds } = await setup();
+
+    const results = await Promise.all([
+        refunds.requestRefund('sam@example.com', { transactionId: 'pi_1' }),
+        refunds.requestRefund('sam@example.com', { transactionId: 'pi_1' }),
+    ]);
+    assert.ok(results[0].refundId);
+    assert.deepEqual(results[1], { error: 'pending' });
+    assert.equal(deps.refunds.docs.length, 1);
+    assert.equal(deps.refunds.docs[0].amount, 50);
+    assert.equal(deps.payments.docs[0].refundStatus, 'requested');
+
+    // settled requests don't block the next one
+    await refunds.reviewRefund(results[0].refundId, { status: 'rejected', reviewer: 'admin@example.com' });
+    assert.ok((await refunds.requestRefund('sam@example.com', { transactionId: 'pi_1', amount: 10 })).refundId);
+});
+
+test('refuses requests for other students, refunded payments and too much', async () => {
+    const { deps, refunds } = await setup();
+
+    assert.deepEqual(await refunds.requestRefund('eve@example.com', { transactionId: 'pi_1' }), { error: 'missing' });
+    assert.deepEqual(await refunds.requestRefund('sam@example.com', { transactionId: 'pi_1', amount: 60 }), { error: 'amount', refundable: 50 });
+
+    deps.payments.docs[0].refundedAmount = 50;
+    assert.deepEqual(await refunds.requestRefund('sam@example.com', { transactionId: 'pi_1' }), { error: 'refunded' });
+});
+
+test('approving a full refund pays it back once and frees the seat', async () => {
+    const { deps, calls, refunds } = await setup();
+    const { refundId } = await refunds.requestRefund('sam@example.com', { transactionId: 'pi_1' });
+
+    // two admins approving at once
+    const [approved, again] = await Promise.all([
+        refunds.reviewRefund(refundId, { status: 'approved', reviewer: 'admin@example.com' }),
+        refunds.reviewRefund(refundId, { status: 'approved', reviewer: 'other@example.com' }),
+    ]);
+    assert.equal(approved.fullyRefunded, true);
+    assert.equal(approved.refundedAmount, 50);
+    assert.deepEqual(again, { error: 'settled', status: 'processing' });
+
+    assert.equal(calls.refunds.length, 1);
+    assert.deepEqual(calls.refunds[0].params, { payment_intent: 'pi_1', amount: 5000, metadata: { refundRequestId: refundId.toString() } });
+    assert.deepEqual(calls.refunds[0].options, { idempotencyKey: `refund-${refundId}` });
+
+    const [request] = deps.refunds.docs;
+    assert.equal(request.status, 'approved');
+    assert.equal(request.open, false);
+    assert.equal(deps.payments.docs[0].refundStatus, 'refunded');
+    assert.equal(deps.enrollments.docs[0].status, 'revoked');
+    assert.equal(deps.enrollments.docs[0].active, false);
+    assert.equal(calls.released, 1);
+    assert.equal(calls.promoted, 1);
+
+    assert.deepEqual(
+        await refunds.reviewRefund(refundId, { status: 'approved', reviewer: 'admin@example.com' }),
+        { error: 'settled', status: 'approved' }
+    );
+});
+
+test('a partial refund keeps the enrollment', async () => {
+    const { deps, calls, refunds } = await setup();
+    const { refundId } = await refunds.requestRefund('sam@example.com', { transactionId: 'pi_1', amount: 30 });
+
+    // admins may approve less than asked, never more than is left
+    assert.deepEqual(
+        await refunds.reviewRefund(refundId, { status: 'approved', amount: 80, reviewer: 'admin@example.com' }),
+        { error: 'amount', refundable: 50 }
+    );
+    const approved = await refunds.reviewRefund(refundId, { status: 'approved', amount: 20, reviewer: 'admin@example.com' });
+
+    assert.equal(approved.fullyRefunded, false);
+    assert.equal(deps.payments.docs[0].refundStatus, 'partially_refunded');
+    assert.equal(deps.payments.docs[0].refundedAmount, 20);
+    assert.equal(deps.enrollments.docs[0].refundFlag, 'partial');
+    assert.equal(deps.enrollments.docs[0].active, true);
+    assert.equal(calls.released, 0);
+});
+
+test('a failed stripe refund leaves the request pending for another try', async () => {
+    const { deps, calls, refunds } = await setup();
+    const { refundId } = await refunds.requestRefund('sam@example.com', { transactionId: 'pi_1' });
+    const create = deps.stripe.refunds.create;
+    deps.stripe.refunds.create = async () => { throw new Error('stripe down'); };
+
+    await assert.rejects(refunds.reviewRefund(refundId, { status: 'approved', reviewer: 'admin@example.com' }), /stripe down/);
+    assert.equal(deps.refunds.docs[0].status, 'pending');
+    assert.equal(deps.refunds.docs[0].open, true);
+
+    deps.stripe.refunds.create = create;
+    assert.ok((await refunds.reviewRefund(refundId, { status: 'approved', reviewer: 'admin@example.com' })).refundId);
+    assert.equal(calls.refunds.length, 1);
+});
+
+test('rejecting closes the request without refunding', async () => {
+    const { deps, calls, refunds } = await setup();
+    const { refundId } = await refunds.requestRefund('sam@example.com', { transactionId: 'pi_1' });
+
+    const rejected = await refunds.reviewRefund(refundId, { status: 'rejected', reviewer: 'admin@example.com' });
+    assert.equal(rejected.refundRequest.status, 'pending');
+    assert.equal(deps.refunds.docs[0].status, 'rejected');
+    assert.equal(deps.refunds.docs[0].reviewedBy, 'admin@example.com');
+    assert.equal(deps.payments.docs[0].refundStatus, 'rejected');
+    assert.equal(calls.refunds.length, 0);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoles } = require('../roles');
+const { createFakeCollection } = require('./fakeCollection');
+
+const setup = () => {
+    const synced = [];
+    const users = createFakeCollection([{ email: 'sam@example.com', role: 'student' }]);
+    const roles = createRoles({ users, ttlMs: 60 * 1000, syncRoleClaim: async (email, role) => { synced.push({ email, role }); } });
+    return { users, synced, roles };
+};
+
+test('the role comes from the database, not the token claim', async () => {
+    const { roles } = setup();
+
+    assert.equal(await roles.resolveRole({ email: 'sam@example.com', role: 'admin' }), 'student');
+    assert.equal(await roles.resolveRole({ email: 'nobody@example.com', role: 'student' }), null);
+    assert.equal(await roles.resolveRole({}), null);
+});
+
+test('lookups are cached until they expire', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const { users, roles } = setup();
+
+    await roles.resolveRole({ email: 'sam@example.com' });
+    users.docs[0].role = 'teacher'; // changed behind this instance's back
+    assert.equal(await roles.resolveRole({ email: 'sam@example.com' }), 'student');
+
+    t.mock.timers.tick(60 * 1000);
+    assert.equal(await roles.resolveRole({ email: 'sam@example.com' }), 'teacher');
+});
+
+test('promotions and demotions apply at once, whatever the token says', async () => {
+    const { roles, synced } = setup();
+    const token = { email: 'sam@example.com', role: 'student' };
+    await roles.resolveRole(token);
+
+    await roles.changeRole('sam@example.com', 'teacher');
+    assert.equal(await roles.resolveRole(token), 'teacher');
+
+    await roles.changeRole('sam@example.com', 'student');
+    assert.equal(await roles.resolveRole({ ...token, role: 'teacher' }), 'student');
+    assert.deepEqual(synced, [{ email: 'sam@example.com', role: 'teacher' }, { email: 'sam@example.com', role: 'student' }]);
+});
+
+test('firebase accounts without a claim get one', async () => {
+    const { roles, synced } = setup();
+
+    await roles.resolveRole({ email: 'sam@example.com', uid: 'u1', provider: 'local' });
+    assert.equal(synced.length, 0);
+
+    roles.invalidateRole('sam@example.com');
+    await roles.resolveRole({ email: 'sam@example.com', uid: 'u1' });
+    assert.deepEqual(synced, [{ email: 'sam@example.com', role: 'student' }]);
+});
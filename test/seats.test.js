@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { seatsLeft, createSeats } = require('../seats');
+const { createFakeCollection } = require('./fakeCollection');
+
+const OFFER_MS = 48 * 60 * 60 * 1000;
+
+// seats over fake collections with the unique indexes from index.js; emails and notifications
+// are collected in `sent`
+const setup = async (classFields = {}) => {
+    const sent = { emails: [], notifications: [] };
+    const deps = {
+        classes: createFakeCollection([{ classId: 'c1', title: 'Algebra', teacherEmail: 'teacher@example.com', status: 'approved', price: 0, capacity: 2, seatsTaken: 0, ...classFields }]),
+        enrollments: createFakeCollection(),
+        waitlist: createFakeCollection(),
+        wishlists: createFakeCollection(),
+        outbox: { enqueue: async (to, template) => { sent.emails.push({ to, template }); } },
+        notify: async (recipients, { title }) => { sent.notifications.push({ recipients, title }); },
+        offerMs: OFFER_MS,
+    };
+    deps.isEnrolled = async (email, classId) =>
+        Boolean(await deps.enrollments.findOne({ studentEmail: email, classId, status: { $ne: 'revoked' } }));
+    await deps.enrollments.createIndex({ classId: 1, studentEmail: 1 }, { unique: true, partialFilterExpression: { active: true } });
+    await deps.waitlist.createIndex({ classId: 1, studentEmail: 1 }, { unique: true, partialFilterExpression: { open: true } });
+
+    const classData = () => deps.classes.docs[0];
+    return { deps, sent, classData, seats: createSeats(deps) };
+};
+const student = (name) => ({ email: `${name}@example.com`, name });
+
+test('seats left, with or without a capacity', () => {
+    assert.equal(seatsLeft({ capacity: null }), true);
+    assert.equal(seatsLeft({ capacity: 2, seatsTaken: 1 }), true);
+    assert.equal(seatsLeft({ capacity: 2, seatsTaken: 2 }), false);
+});
+
+test('enrolls until the class is full, once per student', async () => {
+    const { deps, classData, seats } = await setup();
+
+    const results = await Promise.all(['ana', 'ben', 'cai'].map(name => seats.enrollStudent(classData(), student(name))));
+    assert.deepEqual(results.map(result => result.error || 'enrolled'), ['enrolled', 'enrolled', 'full']);
+    assert.equal(classData().seatsTaken, 2);
+
+    assert.deepEqual(await seats.enrollStudent(classData(), student('ana')), { error: 'enrolled' });
+    assert.equal(deps.enrollments.docs.length, 2);
+});
+
+test('a parallel duplicate enrollment gives its seat back', async () => {
+    const { deps, classData, seats } = await setup({ capacity: null });
+
+    const results = await Promise.all([seats.enrollStudent(classData(), student('ana')), seats.enrollStudent(classData(), student('ana'))]);
+    assert.deepEqual(results.map(result => result.error || 'new').sort(), ['enrolled', 'new']);
+    assert.equal(deps.enrollments.docs.length, 1);
+    assert.equal(classData().seatsTaken, 1);
+});
+
+test('a student waits in line once', async () => {
+    const { seats } = await setup();
+
+    assert.equal(await seats.joinWaitlist('c1', student('ana')), true);
+    assert.equal(await seats.joinWaitlist('c1', student('ana')), false);
+});
+
+test('a freed seat in a free class goes straight to the first in line', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const { deps, sent, classData, seats } = await setup({ capacity: 1, seatsTaken: 1 });
+    await seats.joinWaitlist('c1', student('ana'));
+    t.mock.timers.tick(1000);
+    await seats.joinWaitlist('c1', student('ben'));
+
+    await seats.releaseSeat('c1');
+    await seats.promoteWaitlist('c1');
+
+    assert.equal(classData().seatsTaken, 1);
+    assert.deepEqual(deps.enrollments.docs.map(enrollment => enrollment.studentEmail), ['ana@example.com']);
+    assert.deepEqual(deps.waitlist.docs.map(entry => entry.status), ['enrolled', 'waiting']);
+    assert.deepEqual(sent.notifications.at(-1), { recipients: ['ana@example.com'], title: 'You got a seat' });
+});
+
+test('a paid class offers the seat, and an unpaid offer passes it on', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const { deps, sent, classData, seats } = await setup({ price: 50, capacity: 1, seatsTaken: 1 });
+    await seats.joinWaitlist('c1', student('ana'));
+    t.mock.timers.tick(1000);
+    await seats.joinWaitlist('c1', student('ben'));
+
+    await seats.releaseSeat('c1');
+    await seats.promoteWaitlist('c1');
+    assert.deepEqual(deps.waitlist.docs.map(entry => entry.status), ['offered', 'waiting']);
+    assert.deepEqual(sent.emails, [{ to: 'ana@example.com', template: 'waitlistSeatOffered' }]);
+    // the offer holds the seat
+    assert.deepEqual(await seats.enrollStudent(classData(), student('cai')), { error: 'full' });
+
+    t.mock.timers.tick(OFFER_MS);
+    await seats.expireWaitlistOffers();
+    assert.deepEqual(deps.waitlist.docs.map(entry => entry.status), ['expired', 'offered']);
+
+    // paying with the offer uses its seat
+    assert.ok((await seats.enrollStudent(classData(), student('ben'), { transactionId: 'pi_1' })).enrollmentId);
+    assert.equal(classData().seatsTaken, 1);
+    assert.equal(deps.waitlist.docs[1].status, 'enrolled');
+});
+
+test('old enrollments keep the oldest of each duplicate active and count seats', async () => {
+    const { deps, classData, seats } = await setup({ capacity: 5 });
+    delete classData().seatsTaken;
+    const enrolledAt = (day) => new Date(`2025-01-0${day}T00:00:00Z`);
+    deps.enrollments.docs.push(
+        { _id: 'e2', classId: 'c1', studentEmail: 'ana@example.com', enrolledAt: enrolledAt(2) },
+        { _id: 'e1', classId: 'c1', studentEmail: 'ana@example.com', enrolledAt: enrolledAt(1) },
+        { _id: 'e3', classId: 'c1', studentEmail: 'ben@example.com', enrolledAt: enrolledAt(3) },
+        { _id: 'e4', classId: 'c1', studentEmail: 'cai@example.com', enrolledAt: enrolledAt(4), status: 'revoked' },
+    );
+
+    await seats.migrateEnrollments();
+
+    const byId = Object.fromEntries(deps.enrollments.docs.map(enrollment => [enrollment._id, enrollment]));
+    assert.equal(byId.e1.active, true);
+    assert.equal(byId.e2.active, false);
+    assert.equal(byId.e2.duplicateOf, 'e1');
+    assert.equal(byId.e3.active, true);
+    assert.equal(byId.e4.active, undefined);
+    assert.equal(classData().seatsTaken, 2);
+});
+
+test('seats are still counted when the enrollment index fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { deps, classData, seats } = await setup();
+    delete classData().seatsTaken;
+    deps.enrollments.docs.push({ classId: 'c1', studentEmail: 'ana@example.com', active: true });
+    deps.enrollments.createIndex = async () => { throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }); };
+
+    await seats.migrateEnrollments();
+    assert.equal(classData().seatsTaken, 1);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isTimeZone, isOccurrence, expandSession, buildCalendar } = require('../sessions');
+
+const session = (fields = {}) => ({
+    _id: 's1',
+    classId: 'c1',
+    title: 'Office hours',
+    startDate: '2025-03-17', // a Monday
+    startTime: '18:00',
+    timezone: 'Europe/Berlin',
+    durationMinutes: 60,
+    ...fields,
+});
+const starts = (occurrences) => occurrences.map(occurrence => occurrence.start.toISOString());
+
+test('recognizes IANA timezones', () => {
+    assert.equal(isTimeZone('Europe/Berlin'), true);
+    assert.equal(isTimeZone('Mars/Olympus'), false);
+});
+
+test('a one-off session has a single occurrence', () => {
+    const occurrences = expandSession(session(), new Date('2025-03-01'), new Date('2025-04-01'));
+    assert.deepEqual(starts(occurrences), ['2025-03-17T17:00:00.000Z']);
+    assert.equal(occurrences[0].end.toISOString(), '2025-03-17T18:00:00.000Z');
+    assert.equal(occurrences[0].status, 'scheduled');
+});
+
+test('weekly occurrences keep their local time across the daylight saving change', () => {
+    const weekly = session({ recurrence: { frequency: 'weekly', interval: 1 } });
+    const occurrences = expandSession(weekly, new Date('2025-03-01'), new Date('2025-04-08'));
+    // Berlin moves from UTC+1 to UTC+2 on 2025-03-30
+    assert.deepEqual(starts(occurrences), [
+        '2025-03-17T17:00:00.000Z',
+        '2025-03-24T17:00:00.000Z',
+        '2025-03-31T16:00:00.000Z',
+        '2025-04-07T16:00:00.000Z',
+    ]);
+});
+
+test('a time skipped by the spring change lands an hour later', () => {
+    const skipped = session({ startDate: '2025-03-30', startTime: '02:30' });
+    const [occurrence] = expandSession(skipped, new Date('2025-03-29'), new Date('2025-04-01'));
+    assert.equal(occurrence.start.toISOString(), '2025-03-30T01:30:00.000Z'); // 03:30 local
+});
+
+test('weekly series on chosen weekdays, every other week, up to a date', () => {
+    const series = session({ recurrence: { frequency: 'weekly', interval: 2, weekdays: [1, 3], until: '2025-04-02' } });
+    const occurrences = expandSession(series, new Date('2025-03-01'), new Date('2025-05-01'));
+    assert.deepEqual(starts(occurrences), [
+        '2025-03-17T17:00:00.000Z',
+        '2025-03-19T17:00:00.000Z',
+        '2025-03-31T16:00:00.000Z',
+        '2025-04-02T16:00:00.000Z',
+    ]);
+});
+
+test('a counted series is numbered from its first occurrence, not the window', () => {
+    const daily = session({ recurrence: { frequency: 'daily', interval: 1, count: 5 } });
+    const occurrences = expandSession(daily, new Date('2025-03-19T12:00:00Z'), new Date('2025-04-01'));
+    assert.deepEqual(starts(occurrences), [
+        '2025-03-19T17:00:00.000Z',
+        '2025-03-20T17:00:00.000Z',
+        '2025-03-21T17:00:00.000Z',
+    ]);
+});
+
+test('cancelled and rescheduled occurrences, including one moved into the window', () => {
+    const weekly = session({
+        recurrence: { frequency: 'weekly' },
+        overrides: [
+            { occurrence: '2025-03-24T17:00:00.000Z', cancelled: true, reason: 'Holiday' },
+            { occurrence: '2025-03-31T16:00:00.000Z', start: '2025-04-01T16:00:00.000Z', durationMinutes: 90 },
+            { occurrence: '2025-04-14T16:00:00.000Z', start: '2025-04-03T16:00:00.000Z' },
+        ],
+    });
+    const occurrences = expandSession(weekly, new Date('2025-03-20'), new Date('2025-04-05'));
+
+    assert.deepEqual(occurrences.map(({ occurrence, status }) => [occurrence, status]), [
+        ['2025-03-24T17:00:00.000Z', 'cancelled'],
+        ['2025-03-31T16:00:00.000Z', 'rescheduled'],
+        ['2025-04-14T16:00:00.000Z', 'rescheduled'],
+    ]);
+    assert.equal(occurrences[0].reason, 'Holiday');
+    assert.equal(occurrences[1].end.toISOString(), '2025-04-01T17:30:00.000Z');
+});
+
+test('only original occurrence times are occurrences', () => {
+    const weekly = session({ recurrence: { frequency: 'weekly' } });
+    assert.equal(isOccurrence(weekly, new Date('2025-03-31T16:00:00.000Z')), true);
+    assert.equal(isOccurrence(weekly, new Date('2025-03-31T17:00:00.000Z')), false);
+    assert.equal(isOccurrence(weekly, new Date('2025-03-10T17:00:00.000Z')), false); // before the start
+});
+
+test('calendars escape text, fold long lines and mark cancellations', () => {
+    const weekly = session({
+        title: 'Review; part 1, intro',
+        description: 'x'.repeat(100),
+        recurrence: { frequency: 'weekly', count: 2 },
+        overrides: [{ occurrence: '2025-03-24T17:00:00.000Z', cancelled: true }],
+    });
+    const ics = buildCalendar({ name: 'Algebra', occurrences: expandSession(weekly, new Date('2025-03-01'), new Date('2025-04-01')) });
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+    assert.ok(lines.includes('SUMMARY:Review\\; part 1\\, intro'));
+    assert.ok(lines.includes('DTSTART:20250317T170000Z'));
+    assert.ok(lines.includes('STATUS:CANCELLED'));
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    assert.ok(lines.some(line => line.startsWith(' '))); // the description continued
+});
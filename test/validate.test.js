@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { z, validate, objectId, email, requiredString } = require('../validate');
+
+const response = () => {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+};
+// run the middleware; returns the request and response it saw and whether it called next
+const run = (middleware, fields) => {
+    const req = { params: {}, query: {}, body: {}, ...fields };
+    const res = response();
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    return { req, res, passed };
+};
+
+test('shared field schemas', () => {
+    assert.equal(objectId.safeParse('507f1f77bcf86cd799439011').success, true);
+    assert.equal(objectId.safeParse('not-an-id').success, false);
+    assert.equal(email.parse('  sam@example.com '), 'sam@example.com');
+    assert.equal(email.safeParse('sam').success, false);
+    assert.equal(requiredString.safeParse('   ').success, false);
+});
+
+test('replaces input with parsed values', () => {
+    const { req, passed } = run(validate({
+        params: { id: objectId },
+        query: { page: z.coerce.number() },
+        body: { title: requiredString },
+    }), { params: { id: '507f1f77bcf86cd799439011' }, query: { page: '2' }, body: { title: ' Algebra ' } });
+
+    assert.equal(passed, true);
+    assert.deepEqual(req.query, { page: 2 });
+    assert.deepEqual(req.body, { title: 'Algebra' });
+});
+
+test('rejects unknown fields and undeclared locations', () => {
+    const { res, passed } = run(validate({ body: { title: requiredString } }), {
+        query: { debug: '1' },
+        body: { title: 'Algebra', price: 10 },
+    });
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.errors, [
+        { in: 'query', field: 'debug', message: 'Unknown field' },
+        { in: 'body', field: 'price', message: 'Unknown field' },
+    ]);
+});
+
+test('reports each invalid field with its location', () => {
+    const { res } = run(validate({ params: { id: objectId }, body: { email, title: requiredString } }), {
+        params: { id: 'nope' },
+        body: { email: 'sam' },
+    });
+
+    assert.equal(res.body.message, 'Validation failed');
+    assert.deepEqual(res.body.errors.map(error => `${error.in}.${error.field}`), ['params.id', 'body.email', 'body.title']);
+    assert.equal(res.body.errors[0].message, 'Invalid ObjectId');
+});
+
+test('accepts ready schemas for refinements and unions', () => {
+    const body = z.strictObject({ type: z.enum(['percent', 'fixed']), value: z.number() })
+        .refine(coupon => coupon.type !== 'percent' || coupon.value <= 100, { message: 'Too much', path: ['value'] });
+
+    assert.equal(run(validate({ body }), { body: { type: 'percent', value: 50 } }).passed, true);
+    const { res } = run(validate({ body }), { body: { type: 'percent', value: 150 } });
+    assert.deepEqual(res.body.errors, [{ in: 'body', field: 'value', message: 'Too much' }]);
+});
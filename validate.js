@@ -0,0 +1,47 @@
+const { z } = require("zod");
+
+// shared field schemas
+const objectId = z.string().regex(/^[a-f\d]{24}$/i, 'Invalid ObjectId');
+const email = z.string().trim().email('Invalid email');
+const requiredString = z.string().trim().min(1, 'Required');
+
+// turn zod issues into { in, field, message } entries
+const formatIssues = (location, issues) => issues.flatMap(issue => {
+    if (issue.code === 'unrecognized_keys') {
+        return issue.keys.map(key => ({
+            in: location,
+            field: [...issue.path, key].join('.'),
+            message: 'Unknown field',
+        }));
+    }
+    return [{ in: location, field: issue.path.join('.'), message: issue.message }];
+});
+
+// validate params, query and body against declared shapes
+// a location that isn't declared must be empty; unknown fields are rejected
+// shapes can be plain objects of zod fields or ready zod schemas
+const validate = (shapes = {}) => (req, res, next) => {
+    const errors = [];
+    const parsed = {};
+
+    for (const location of ['params', 'query', 'body']) {
+        const shape = shapes[location] || {};
+        const schema = shape instanceof z.ZodType ? shape : z.strictObject(shape);
+        const result = schema.safeParse(req[location] || {});
+
+        if (result.success) parsed[location] = result.data;
+        else errors.push(...formatIssues(location, result.error.issues));
+    }
+
+    if (errors.length) {
+        return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    // replace raw input with coerced values (req.query is a getter in express 5)
+    req.params = parsed.params;
+    req.body = parsed.body;
+    Object.defineProperty(req, 'query', { value: parsed.query, writable: true });
+    next();
+};
+
+module.exports = { z, validate, objectId, email, requiredString };